@@ -0,0 +1,91 @@
+"use strict";
+
+// The bitReader index.js used before it switched to a DataView, kept to
+// benchmark against. read64 built a Long from long.js; here it is computed
+// directly, as the benchmark doesn't read int64 values.
+function bitReader(str) {
+	const bytes = str.split("").map(c=>c.charCodeAt(0));
+	if (bytes[0] != 0) {
+		throw "Unable to deserialize.";
+	}
+
+	let bit = 0;
+	function peek(bits) {
+		var result = read(bits);
+		bit -= bits;
+		return result;
+	}
+	function read(bits) {
+		const startByte = Math.floor(bit / 8);
+		const endByte = Math.ceil((bit + bits) / 8);
+		const b = bytes.slice(startByte, endByte);
+		let result = reduce(b);
+		const mask = Math.pow(2, bits) - 1;
+		result >>= (bit % 8);
+
+		bit += bits;
+		const f = result & mask;
+		return f;
+	}
+
+	function readByteArray(count) {
+		const ret = bytes.slice(bit / 8, (bit / 8) + count);
+		bit += count * 8;
+		return ret;
+	}
+
+	function reduce(array) {
+		let result = 0;
+		let k = 0;
+		for (const b of array) {
+			result += (b << (k * 8));
+			k++;
+		}
+		return result;
+	}
+
+	return {
+		peek: (c) => peek(c),
+		read: (c) => read(c),
+		read8: () => read(8),
+		read16: () => read(16),
+		read32: () => read(32),
+		read64: () => {
+			const low = read(32);
+			const high = read(32);
+			return high * 0x100000000 + (low >>> 0);
+		},
+		readSingle: () => {
+			var buffer = new ArrayBuffer(8);
+			(new Uint32Array(buffer))[0] = read(32);
+			return new Float32Array(buffer)[0];
+		},
+		readDouble: () => {
+			var buffer = new ArrayBuffer(8);
+			(new Uint32Array(buffer))[0] = read(32);
+			(new Uint32Array(buffer))[1] = read(32);
+			return new Float64Array(buffer)[0];
+		},
+		readLengthPrefixedString: () => {
+			let multiplier = 0;
+			let len = 0;
+			for (let j = 0; j < 5; j++) {
+				const nextLength = read(7);
+				len += (nextLength << multiplier * 7);
+				multiplier ++;
+				if (!read(1)) {
+					break;
+				}
+			}
+			const charArray = readByteArray(len);
+			// TODO: decode UTF-8 correctly
+			const string = charArray.map(x => String.fromCharCode(x)).join("");
+			return string;
+		},
+		bytes: bytes,
+	}
+}
+
+module.exports = {
+	bitReader
+};
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+"use strict";
+
+// Times decoding a generated multi-megabyte stream with the current reader
+// (through deserializeGraph()) against reading the same values with the old
+// bitReader. Run with `npm run bench`, optionally with an item count.
+
+const { deserializeGraph } = require("../index.js");
+const { StreamBuilder } = require("../test/helpers/nrbf.js");
+const { bitReader } = require("./old-reader.js");
+
+const count = Number(process.argv[2]) || 100000;
+
+// The root is an object[] holding, for each item, a string and a double[] of four.
+function buildStream() {
+	const builder = new StreamBuilder().header();
+	builder.u8(0x10).i32(1).i32(count * 2);
+	let id = 2;
+	for (let i = 0; i < count; i++) {
+		builder.u8(0x06).i32(id++).string("item " + i + " of the benchmark stream");
+		builder.u8(0x0F).i32(id++).i32(4).u8(6);
+		for (let j = 0; j < 4; j++) {
+			builder.u8(...new Uint8Array(Float64Array.of(i * 4 + j).buffer));
+		}
+	}
+	return builder.end().toBytes();
+}
+
+// Reads the stream buildStream() writes, record by record, the way the old
+// deserializer drove bitReader.
+function readWithOldReader(bytes) {
+	const reader = bitReader(Buffer.from(bytes).toString("latin1"));
+	reader.read8();
+	for (let i = 0; i < 4; i++) {
+		reader.read32();
+	}
+	reader.read8();
+	reader.read32();
+	const length = reader.read32();
+	const items = [];
+	for (let i = 0; i < length; i += 2) {
+		reader.read8();
+		const stringId = reader.read32();
+		items.push({ objectId: stringId, value: reader.readLengthPrefixedString() });
+		reader.read8();
+		const arrayId = reader.read32();
+		const values = [];
+		const arrayLength = reader.read32();
+		reader.read8();
+		for (let j = 0; j < arrayLength; j++) {
+			values.push(reader.readDouble());
+		}
+		items.push({ objectId: arrayId, values });
+	}
+	reader.read8();
+	return items;
+}
+
+function time(label, run) {
+	const start = process.hrtime.bigint();
+	run();
+	const ms = Number(process.hrtime.bigint() - start) / 1e6;
+	console.log(label.padEnd(14) + ms.toFixed(0).padStart(8) + " ms");
+	return ms;
+}
+
+const bytes = buildStream();
+console.log("Stream of " + (bytes.length / 1048576).toFixed(1) + " MB, " + count + " strings and arrays");
+const current = time("DataView", () => deserializeGraph(bytes));
+const old = time("bitReader", () => readWithOldReader(bytes));
+console.log("DataView reader is " + (old / current).toFixed(1) + "x faster");
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadSave, mapMembers, buildAst } = require("../index.js");
+const { select, flatten, toCsv, toNdjson } = require("../query.js");
+const { applySchema } = require("../schema.js");
+
+// The column --csv and --ndjson name each save's file in. formatPath() quotes a
+// key like this one, so no path in a save can be written the same.
+const FILE_COLUMN = "(file)";
+
+const usage = `Usage: ngu-decode [options] [file...]
+
+Decodes NGU Idle save files and prints them as JSON. Reads stdin when no file
+(or "-") is given, and every file in a directory given in place of a file.
+With several files the output is an object keyed by file; a file that fails
+to decode is reported on stderr and left out, and the exit status is 1. Save
+text, base64, raw MS-NRBF and gzip or deflate compressed saves are all
+recognised.
+
+Options:
+  --inner          decode the playerData inside the save (default)
+  --outer          decode only the outer wrapper
+  --pretty         indent the output (default when writing to a terminal)
+  --compact        print the output on one line
+  --lenient        on a decoding error, warn and print what was decoded
+                   before it
+  --verbose        list the layers peeled off each save and its checksum
+                   status on stderr
+  --schema         print the NGU view: named enums, labelled arrays, derived
+                   stats and warnings about members the schema doesn't know
+  --select <path>  print only the values at a JSONPath-style path,
+                   e.g. $.inventory.inventory[0], $.wishes.* or
+                   $.inventory.inventory[?(@.id == 37)]; may be repeated
+  --flat           print each save as flat "path": value pairs
+  --csv            print a CSV table with a row of flat values per save,
+                   named in its "(file)" column
+  --ndjson         print a line of JSON with flat values per save, named
+                   by its "(file)" member
+  --arrays <mode>  how --flat, --csv and --ndjson write arrays: index (a
+                   column per item, default), json, count or skip
+  -h, --help       show this help`;
+
+function parseArgs(argv) {
+	const args = {
+		layer: "inner",
+		pretty: !!process.stdout.isTTY,
+		lenient: false,
+		verbose: false,
+		schema: false,
+		select: [],
+		format: "json",
+		arrays: "index",
+		files: []
+	};
+	for (let i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case "--inner":
+			case "--outer":
+				args.layer = argv[i].slice(2);
+				break;
+			case "--pretty":
+				args.pretty = true;
+				break;
+			case "--compact":
+				args.pretty = false;
+				break;
+			case "--lenient":
+				args.lenient = true;
+				break;
+			case "--verbose":
+				args.verbose = true;
+				break;
+			case "--schema":
+				args.schema = true;
+				break;
+			case "--select":
+				if (i + 1 >= argv.length) {
+					throw new Error("--select needs a path.");
+				}
+				args.select.push(argv[++i]);
+				break;
+			case "--flat":
+			case "--csv":
+			case "--ndjson":
+				args.format = argv[i].slice(2);
+				break;
+			case "--arrays":
+				if (!["index", "json", "count", "skip"].includes(argv[i + 1])) {
+					throw new Error("--arrays needs one of index, json, count or skip.");
+				}
+				args.arrays = argv[++i];
+				break;
+			case "-h":
+			case "--help":
+				args.help = true;
+				break;
+			default:
+				if (argv[i].startsWith("-") && argv[i] !== "-") {
+					throw new Error("Unknown option " + argv[i] + ".");
+				}
+				args.files.push(argv[i]);
+		}
+	}
+	if (!args.files.length) {
+		args.files.push("-");
+	}
+	return args;
+}
+
+async function decodeFile(file, args) {
+	const save = await loadSave(fs.readFileSync(file === "-" ? 0 : file), { lenient: args.lenient });
+	if (args.verbose) {
+		process.stderr.write(file + ": " + save.layers.join(" > ") + " (checksum " + save.checksum.status + (save.checksum.verified ? "" : ", unverified") + ")\n");
+	}
+	if (args.layer === "outer" && !save.outer) {
+		throw new Error("there is no outer wrapper; it is a bare player data stream.");
+	}
+	const graph = args.layer === "outer" ? save.outer : save.inner;
+	for (const error of [save.outer && save.outer.error, args.layer === "inner" && save.inner.error]) {
+		if (error) {
+			process.stderr.write("ngu-decode: " + file + ": " + error.message + "\n");
+		}
+	}
+	const data = args.schema ? applySchema(buildAst(graph)) : mapMembers(graph.root);
+	if (args.format !== "json") {
+		return flatten(data, { arrays: args.arrays, select: args.select.length ? args.select : null });
+	}
+	if (!args.select.length) {
+		return data;
+	}
+	const selected = {};
+	for (const selectPath of args.select) {
+		const matches = select(data, selectPath);
+		// A path without wildcards or filters names one value; print it bare.
+		selected[selectPath] = matches.length === 1 && !/\*|\[\?/.test(selectPath) ? matches[0].value : matches.map(m => m.value);
+	}
+	return args.select.length === 1 ? selected[args.select[0]] : selected;
+}
+
+// Replaces each directory with the files in it, in name order.
+function expandFiles(files) {
+	return files.flatMap(file => {
+		if (file === "-" || !fs.statSync(file).isDirectory()) {
+			return [file];
+		}
+		return fs.readdirSync(file).sort()
+			.map(name => path.join(file, name))
+			.filter(name => fs.statSync(name).isFile());
+	});
+}
+
+async function main(argv) {
+	let args;
+	try {
+		args = parseArgs(argv);
+	} catch (e) {
+		process.stderr.write(e.message + "\n\n" + usage + "\n");
+		return 2;
+	}
+	if (args.help) {
+		process.stdout.write(usage + "\n");
+		return 0;
+	}
+
+	const results = [];
+	let failed = 0;
+	try {
+		const files = expandFiles(args.files);
+		for (const file of files) {
+			// One file that doesn't decode, such as a stray non-save in a folder,
+			// shouldn't cost the rest their output.
+			try {
+				results.push({ file, output: await decodeFile(file, args) });
+			} catch (e) {
+				process.stderr.write("ngu-decode: " + file + ": " + e.message + "\n");
+				failed++;
+			}
+		}
+		if (args.format === "csv" || args.format === "ndjson") {
+			const rows = results.map(result => ({ [FILE_COLUMN]: result.file, ...result.output }));
+			process.stdout.write(args.format === "csv" ? toCsv(rows) : toNdjson(rows));
+			return failed ? 1 : 0;
+		}
+		let output;
+		if (files.length === 1 && args.files.length === 1 && files[0] === args.files[0]) {
+			if (failed) {
+				return 1;
+			}
+			output = results[0].output;
+		} else {
+			output = {};
+			for (const result of results) {
+				output[result.file] = result.output;
+			}
+		}
+		process.stdout.write(JSON.stringify(output, null, args.pretty ? 2 : undefined) + "\n");
+	} catch (e) {
+		process.stderr.write("ngu-decode: " + e.message + "\n");
+		return 1;
+	}
+	return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => process.exitCode = code);
@@ -0,0 +1,139 @@
+"use strict";
+
+// query.js, for formatPath(); in the page it is loaded first.
+const decoderQuery = typeof module !== "undefined" && module.exports ? require("./query.js") : globalThis;
+
+// DateTime values as decoded by deserialize(): { iso, kind, ms }.
+function isDateTime(value) {
+	return value !== null && typeof value === "object" && typeof value.iso === "string" && "kind" in value && "ms" in value;
+}
+
+function isLeaf(value) {
+	return value === null || typeof value !== "object" || isDateTime(value);
+}
+
+function isIntegerString(value) {
+	// int64 values, which decode as strings.
+	return typeof value === "string" && /^-?\d+$/.test(value);
+}
+
+// Turns an ignore pattern into a regex over paths. "*" matches one key or
+// index, "**" any run of them, and a pattern also matches everything under it.
+function pathPattern(pattern) {
+	const source = pattern
+		.replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+		.replace(/\\\[\*\\\]/g, "\\[[^\\]]*\\]")
+		.replace(/\*\*/g, "\u0000")
+		.replace(/\*/g, "[^.[\\]]*")
+		.replace(/\u0000/g, ".*");
+	return new RegExp("^" + source + "($|[.[])");
+}
+
+function compareLeaves(path, before, after, changes) {
+	if (isDateTime(before) && isDateTime(after)) {
+		if (before.iso !== after.iso || before.kind !== after.kind) {
+			changes.push({ path, type: "changed", before, after, delta: after.ms - before.ms, ratio: null });
+		}
+		return;
+	}
+	if (Object.is(before, after)) {
+		return;
+	}
+	const change = { path, type: "changed", before, after };
+	if (typeof before === "number" && typeof after === "number") {
+		change.delta = after - before;
+		change.ratio = before !== 0 ? after / before : null;
+	} else if (isIntegerString(before) && isIntegerString(after)) {
+		change.delta = (BigInt(after) - BigInt(before)).toString();
+		change.ratio = Number(before) !== 0 ? Number(after) / Number(before) : null;
+	}
+	changes.push(change);
+}
+
+function arrayMatchKey(before, after, keys) {
+	// The first key whose value identifies every item of both arrays uniquely.
+	return keys.find(key => [before, after].every(items => {
+		const seen = new Set();
+		return items.every(item => {
+			if (item === null || typeof item !== "object" || !isLeaf(item[key]) || item[key] === undefined || seen.has(item[key])) {
+				return false;
+			}
+			seen.add(item[key]);
+			return true;
+		});
+	})) || null;
+}
+
+// Compares two values from deserialize() and returns a list of changes, each
+// { path, type: "added" | "removed" | "changed", before, after }. Changed
+// numbers, int64 strings and DateTimes also get a delta (ms for DateTimes)
+// and a ratio of after to before.
+// options.ignore: path patterns to leave out, e.g. ["lastTime", "*.timestamp"].
+// options.ignoreTimestamps: leave out DateTime values.
+// options.arrayKeys: keys used to match array items, tried in order; arrays
+// whose items none of them identify are compared by index. Defaults to ["id"].
+function diffTrees(before, after, options = {}) {
+	const ignore = (options.ignore || []).map(pathPattern);
+	const arrayKeys = options.arrayKeys || ["id"];
+	const changes = [];
+
+	function skip(path, value) {
+		return ignore.some(pattern => pattern.test(path)) || (options.ignoreTimestamps && isDateTime(value));
+	}
+
+	function walk(keys, a, b) {
+		const path = decoderQuery.formatPath(keys);
+		if (skip(path, a !== undefined ? a : b)) {
+			return;
+		}
+		if (a === undefined) {
+			changes.push({ path, type: "added", before: undefined, after: b });
+			return;
+		}
+		if (b === undefined) {
+			changes.push({ path, type: "removed", before: a, after: undefined });
+			return;
+		}
+		if (isLeaf(a) || isLeaf(b) || Array.isArray(a) !== Array.isArray(b)) {
+			compareLeaves(path, a, b, changes);
+			return;
+		}
+		if (Array.isArray(a)) {
+			const key = arrayMatchKey(a, b, arrayKeys);
+			if (key === null) {
+				for (let i = 0; i < Math.max(a.length, b.length); i++) {
+					walk(keys.concat(i), a[i], b[i]);
+				}
+				return;
+			}
+			const afterByKey = new Map(b.map(item => [item[key], item]));
+			const beforeKeys = new Set(a.map(item => item[key]));
+			for (const item of a) {
+				walk(keys.concat({ key, value: item[key] }), item, afterByKey.get(item[key]));
+			}
+			for (const item of b) {
+				if (!beforeKeys.has(item[key])) {
+					walk(keys.concat({ key, value: item[key] }), undefined, item);
+				}
+			}
+			return;
+		}
+		for (const k of Object.keys(a)) {
+			walk(keys.concat(k), a[k], b[k]);
+		}
+		for (const k of Object.keys(b)) {
+			if (!(k in a)) {
+				walk(keys.concat(k), undefined, b[k]);
+			}
+		}
+	}
+
+	walk([], before, after);
+	return changes;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		diffTrees
+	};
+}
@@ -1,5 +1,33 @@
 "use strict";
 
+// Thrown for malformed input. offset is the byte offset the problem was found
+// at; deserializeGraph() also fills in recordType, the record being read (null
+// for an un-prefixed member value), and path, the member being read.
+class DeserializationError extends Error {
+	constructor(message, offset) {
+		super(offset === undefined ? message : message + " (at byte offset " + offset + ")");
+		this.name = "DeserializationError";
+		this.offset = offset;
+		this.recordType = null;
+		this.path = null;
+	}
+}
+
+class UnknownRecordError extends DeserializationError {
+	constructor(recordType, offset) {
+		super("Unknown record type 0x" + recordType.toString(16).padStart(2, "0") + ".", offset);
+		this.name = "UnknownRecordError";
+		this.recordType = recordType;
+	}
+}
+
+class EndOfBufferError extends DeserializationError {
+	constructor(count, offset) {
+		super("Unexpected end of input reading " + count + " bytes.", offset);
+		this.name = "EndOfBufferError";
+	}
+}
+
 function deserializeHeader(reader) {
 	const rootId = reader.read32();
 	const headerId = reader.read32();
@@ -44,15 +72,44 @@ function deserializeAdditionalTypeInfo(reader, type) {
 		}
 }
 
-function deserializeClassWithMembersAndTypes(reader, state, isSystem) {
+function deserializeClassInfo(reader) {
+	// 2.3.1.1 ClassInfo
 	const objectId = reader.read32();
 	const name = reader.readLengthPrefixedString();
 	const memberCount = reader.read32();
 	const memberNames = [];
-	const members = {};
 	for (let i = 0; i < memberCount; i++) {
 		memberNames.push(reader.readLengthPrefixedString());
 	}
+	return {
+		objectId,
+		name,
+		memberNames
+	};
+}
+
+function deserializeClassWithMembers(reader, state, isSystem) {
+	const { objectId, name, memberNames } = deserializeClassInfo(reader);
+	let libraryId = null;
+	if (!isSystem) {
+		libraryId = reader.read32();
+	}
+
+	// Without MemberTypeInfo every member value is written as a full record.
+	return {
+		objectId,
+		name,
+		memberNames,
+		memberTypes: Array(memberNames.length).fill(null),
+		additionalInfos: Array(memberNames.length).fill(null),
+		libraryId,
+		memberValues: []
+	};
+}
+
+function deserializeClassWithMembersAndTypes(reader, state, isSystem) {
+	const { objectId, name, memberNames } = deserializeClassInfo(reader);
+	const memberCount = memberNames.length;
 	// 2.3.1.2 MemberTypeInfo
 	const memberTypes = [];
 	const additionalInfos = [];
@@ -91,53 +148,265 @@ function deserializeMemberReference(reader) {
 	return reader.read32();
 }
 
-function deserializePrimitiveType(reader, type) {
+function readArrayLength(reader) {
+	const offset = reader.position();
+	const length = reader.read32();
+	if (length < 0) {
+		throw new DeserializationError("Array length " + length + " is negative.", offset);
+	}
+	return length;
+}
+
+// Arrays keep one item type for all their items, and itemCount in place of a
+// class's memberTypes.length.
+function createArrayObject(objectId, lengths, lowerBounds, itemType, additionalInfo, offset, options) {
+	const itemCount = lengths.reduce((x, y) => x * y, 1);
+	const maxLength = options.maxArrayLength || MAX_ARRAY_LENGTH;
+	if (itemCount > maxLength) {
+		// A run of nulls fills any number of items from a few bytes, so the
+		// length of the stream doesn't bound an array's.
+		throw new DeserializationError("Array of " + itemCount + " items is longer than the limit of " + maxLength + ".", offset);
+	}
+	return {
+		objectId,
+		rank: lengths.length,
+		lengths,
+		lowerBounds,
+		itemType,
+		additionalInfo,
+		itemCount,
+		memberValues: []
+	};
+}
+
+function deserializeBinaryArray(reader, options) {
+	const offset = reader.position();
+	const objectId = reader.read32();
+	const binaryArrayType = reader.read8();
+	const rank = reader.read32();
+	const lengths = [];
+	const lowerBounds = [];
+	for (let i = 0; i < rank; i++) {
+		lengths.push(readArrayLength(reader));
+	}
+	if (binaryArrayType > 2) {
+		// SingleOffset, JaggedOffset and RectangularOffset carry lower bounds.
+		for (let i = 0; i < rank; i++) {
+			lowerBounds.push(reader.read32());
+		}
+	}
+	const itemType = reader.read8();
+	const additionalInfo = deserializeAdditionalTypeInfo(reader, itemType);
+	const array = createArrayObject(objectId, lengths, lowerBounds, itemType, additionalInfo, offset, options);
+	if (itemType === 0 && array.itemCount > reader.remaining()) {
+		throw new DeserializationError("Array of length " + array.itemCount + " runs past the end of the buffer.", offset);
+	}
+	array.binaryArrayType = binaryArrayType;
+	return array;
+}
+
+function deserializeArraySinglePrimitive(reader, options) {
+	const offset = reader.position();
+	const objectId = reader.read32();
+	const length = readArrayLength(reader);
+	if (length > reader.remaining()) {
+		// Every primitive takes at least a byte.
+		throw new DeserializationError("Array of length " + length + " runs past the end of the buffer.", reader.position() - 4);
+	}
+	const primitiveType = reader.read8();
+	return createArrayObject(objectId, [length], [], 0, primitiveType, offset, options);
+}
+
+function deserializeArraySingle(reader, itemType, options) {
+	// ArraySingleObject and ArraySingleString: every item is a full record.
+	const offset = reader.position();
+	const objectId = reader.read32();
+	const length = readArrayLength(reader);
+	return createArrayObject(objectId, [length], [], itemType, null, offset, options);
+}
+
+function deserializeValueWithCode(reader, options) {
+	return deserializePrimitiveType(reader, reader.read8(), options);
+}
+
+function deserializeArrayOfValueWithCode(reader, options) {
+	const length = reader.read32();
+	const values = [];
+	for (let i = 0; i < length; i++) {
+		values.push(deserializeValueWithCode(reader, options));
+	}
+	return values;
+}
+
+// 2.2.1.1 MessageFlags
+const MESSAGE_ARGS_INLINE = 0x2;
+const MESSAGE_CONTEXT_INLINE = 0x20;
+const MESSAGE_RETURN_VALUE_INLINE = 0x800;
+
+function deserializeBinaryMethodCall(reader, options) {
+	const messageEnum = reader.read32();
+	const methodName = deserializeValueWithCode(reader, options);
+	const typeName = deserializeValueWithCode(reader, options);
+	const callContext = messageEnum & MESSAGE_CONTEXT_INLINE ? deserializeValueWithCode(reader, options) : null;
+	const args = messageEnum & MESSAGE_ARGS_INLINE ? deserializeArrayOfValueWithCode(reader, options) : null;
+	return {
+		messageEnum,
+		methodName,
+		typeName,
+		callContext,
+		args
+	};
+}
+
+function deserializeBinaryMethodReturn(reader, options) {
+	const messageEnum = reader.read32();
+	const returnValue = messageEnum & MESSAGE_RETURN_VALUE_INLINE ? deserializeValueWithCode(reader, options) : null;
+	const callContext = messageEnum & MESSAGE_CONTEXT_INLINE ? deserializeValueWithCode(reader, options) : null;
+	const args = messageEnum & MESSAGE_ARGS_INLINE ? deserializeArrayOfValueWithCode(reader, options) : null;
+	return {
+		messageEnum,
+		returnValue,
+		callContext,
+		args
+	};
+}
+
+function beginObject(state, currentObject, obj) {
+	// Inline objects (structs) are written in place rather than behind a MemberReference.
+	obj.inline = !!currentObject;
+	if (currentObject) {
+		currentObject.memberValues.push(obj);
+	}
+	state.objectStack.push(obj);
+	state.objects[obj.objectId] = obj;
+}
+
+// DateTime.Kind, stored in the top two bits of a serialized DateTime.
+const DATE_TIME_KINDS = ["Unspecified", "Utc", "Local", "Local"];
+// Milliseconds between 0001-01-01 (tick zero) and the Unix epoch.
+const TICKS_EPOCH_OFFSET_MS = 62135596800000;
+const TICKS_PER_MS = 10000;
+
+function int64ToValue(value, options) {
+	// value is a BigInt; options.int64 picks how it is handed back.
+	// The default is always a string, so a field has the same type in every save.
+	switch (options.int64) {
+		case "bigint":
+			return value;
+		case "number":
+			// Numbers lose precision above 2^53.
+			return Number(value);
+		default:
+			return value.toString();
+	}
+}
+
+function deserializeChar(reader) {
+	// Chars are written as UTF-8; the lead byte says how many continuation bytes follow.
+	const lead = reader.read8();
+	let extra = 0;
+	let codePoint = lead;
+	if (lead >= 0xF0) {
+		extra = 3;
+		codePoint = lead & 0x07;
+	} else if (lead >= 0xE0) {
+		extra = 2;
+		codePoint = lead & 0x0F;
+	} else if (lead >= 0xC0) {
+		extra = 1;
+		codePoint = lead & 0x1F;
+	}
+	for (let i = 0; i < extra; i++) {
+		codePoint = (codePoint << 6) | (reader.read8() & 0x3F);
+	}
+	return String.fromCodePoint(codePoint);
+}
+
+function deserializeTimeSpan(reader, options) {
+	const ticks = reader.read64();
+	return {
+		ticks: int64ToValue(ticks, options),
+		ms: Number(ticks) / TICKS_PER_MS
+	};
+}
+
+function deserializeDateTime(reader) {
+	const raw = reader.readUInt64();
+	const kind = DATE_TIME_KINDS[Number(raw >> 62n)];
+	const ticks = raw & 0x3FFFFFFFFFFFFFFFn;
+	// ms is the wall-clock time read as UTC; for Local values that is the player's local time.
+	const ms = Number(ticks / BigInt(TICKS_PER_MS)) - TICKS_EPOCH_OFFSET_MS;
+	const fraction = (ticks % 10000000n).toString().padStart(7, "0");
+	const iso = new Date(ms).toISOString().slice(0, 19) + "." + fraction + (kind === "Utc" ? "Z" : "");
+	return {
+		iso,
+		kind,
+		ms
+	};
+}
+
+function deserializePrimitiveType(reader, type, options) {
 	switch (type) {
 		case 0: // unused
-			throw "Unmapped primitive 0.";
+			throw new DeserializationError("Unmapped primitive 0.", reader.position());
 		case 1: // boolean
 			return !!reader.read8();
 		case 2: // byte
 			return reader.read8();
 		case 3: // char
-			return reader.read8();
+			return deserializeChar(reader);
 		case 4: // unused
-			throw "Unmapped primitive 4.";
+			throw new DeserializationError("Unmapped primitive 4.", reader.position());
 		case 5: // decimal
+			// Decimals are written as their invariant-culture string, which is exact.
 			return reader.readLengthPrefixedString();
 		case 6: // double
 			return reader.readDouble();
 		case 7: // int16
-			return reader.read16();
+			const int16 = reader.read16();
+			return int16 > 0x7FFF ? int16 - 0x10000 : int16;
 		case 8: // int32
 			return reader.read32();
 		case 9: // int64
-			return reader.read64();
+			return int64ToValue(reader.read64(), options);
 		case 10: // sbyte
-			const val = reader.read7();
-			const negative = reader.read1();
-			if (negative) val = -128 + val;
-			return val;
+			const sbyte = reader.read8();
+			return sbyte > 0x7F ? sbyte - 0x100 : sbyte;
 		case 11: // single
 			return reader.readSingle();
 		case 12: // timespan
-			return reader.read64(); // TODO: This isn't right.
+			return deserializeTimeSpan(reader, options);
 		case 13: // datetime
-			return reader.read64(); // TODO: This isn't right.
+			return deserializeDateTime(reader);
 		case 14: // uint16
-			return reader.read16(); // TODO: This isn't right.
+			return reader.read16();
 		case 15: // uint32
-			return reader.read32(); // TODO: This isn't right.
+			return reader.read32() >>> 0;
 		case 16: // uint64
-			return reader.read64(); // TODO: This isn't right.
+			return int64ToValue(reader.readUInt64(), options);
 		case 17: // null
 			return null;
 		case 18: // string
 			return reader.readLengthPrefixedString();
+		default:
+			throw new DeserializationError("Unknown primitive type " + type + ".", reader.position());
+	}
+}
+
+function reshape(items, lengths) {
+	// Rectangular arrays are stored row-major; nest them back into their dimensions.
+	if (lengths.length === 1) {
+		return items;
+	}
+	const size = items.length / lengths[0];
+	const rows = [];
+	for (let i = 0; i < lengths[0]; i++) {
+		rows.push(reshape(items.slice(i * size, (i + 1) * size), lengths.slice(1)));
 	}
+	return rows;
 }
 
-function mapMembers(obj) {
+function mapMembers(obj, ancestors = new Set()) {
 	if (!obj || !obj.memberValues) {
 		// This is a simple value.
 		return obj;
@@ -145,45 +414,264 @@ function mapMembers(obj) {
 
 	// This is a nested class of some kind.
 
+	if (ancestors.has(obj)) {
+		// A cycle; shared but acyclic references are inlined each time they appear.
+		return {ref: obj.objectId};
+	}
+	ancestors.add(obj);
+	const result = mapObject(obj, ancestors);
+	ancestors.delete(obj);
+	return result;
+}
+
+function mapObject(obj, ancestors) {
 	if (obj.rank) {
 		// this is a binaryarray type object.
-		return obj.memberValues.map(mapMembers);
+		return reshape(obj.memberValues.map(item => mapMembers(item, ancestors)), obj.lengths);
 	}
 
 	const members = {};
 	for (const idx in obj.memberNames) {
 		if (obj.memberNames[idx] === "_items" || obj.memberNames[idx] === "value__") {
 			// This is an array or enum; return the items or value as the entire object for simplicity.
-			return mapMembers(obj.memberValues[idx]);
+			return mapMembers(obj.memberValues[idx], ancestors);
 		}
 
-		members[obj.memberNames[idx]] = mapMembers(obj.memberValues[idx]);
+		members[obj.memberNames[idx]] = mapMembers(obj.memberValues[idx], ancestors);
 	}
 
 	return members;
 }
 
-function deserialize(str) {
-	const reader = bitReader(str);
+// 2.1.2.2 BinaryTypeEnumeration, 2.1.2.3 PrimitiveTypeEnumeration and 2.4.1.1 BinaryArrayTypeEnumeration
+const BINARY_TYPE_NAMES = ["Primitive", "String", "Object", "SystemClass", "Class", "ObjectArray", "StringArray", "PrimitiveArray"];
+const PRIMITIVE_TYPE_NAMES = [null, "Boolean", "Byte", "Char", null, "Decimal", "Double", "Int16", "Int32", "Int64", "SByte", "Single", "TimeSpan", "DateTime", "UInt16", "UInt32", "UInt64", "Null", "String"];
+const BINARY_ARRAY_TYPE_NAMES = ["Single", "Jagged", "Rectangular", "SingleOffset", "JaggedOffset", "RectangularOffset"];
+
+function describeType(type, info, libraryNames) {
+	if (type === null) {
+		// ClassWithMembers records don't carry member types.
+		return null;
+	}
+	const descriptor = { binaryType: BINARY_TYPE_NAMES[type] };
+	switch (type) {
+		case 0: // Primitive
+		case 7: // PrimitiveArray
+			descriptor.name = PRIMITIVE_TYPE_NAMES[info];
+			break;
+		case 3: // SystemClass
+			descriptor.name = info;
+			break;
+		case 4: // Class
+			descriptor.name = info.className;
+			descriptor.library = libraryNames[info.libraryId];
+			break;
+	}
+	return descriptor;
+}
+
+// Builds a lossless, readable tree from a record graph. Every class and array
+// becomes one node, so a record referenced from several places is the same
+// node object each time (and cycles stay cycles). Node kinds:
+//   class: { kind, id, typeName, library, members: { name: { type, value } } }
+//   enum:  a class with only value__, plus underlyingType and value
+//   list:  a List<T> class, plus items (its _items array node) and size
+//   array: { kind, id, arrayType, rank, lengths, lowerBounds, itemType, items }
+//   boxed: { kind, type, value } for a primitive stored in an object slot
+// Array items are row-major whatever the rank; primitives and strings are plain values.
+function buildAst(graph) {
+	const libraryNames = {};
+	for (const library of graph.libraries) {
+		libraryNames[library.id] = library.name;
+	}
+	const nodes = new Map();
+
+	function valueNode(value, primitiveType) {
+		if (primitiveType !== undefined) {
+			return { kind: "boxed", type: PRIMITIVE_TYPE_NAMES[primitiveType], value };
+		}
+		if (!value || !value.memberValues) {
+			return value;
+		}
+		return recordNode(value);
+	}
+
+	function recordNode(record) {
+		if (nodes.has(record)) {
+			return nodes.get(record);
+		}
+		const primitiveTypes = record.primitiveTypes || [];
+		if (record.rank) {
+			const node = {
+				kind: "array",
+				id: record.objectId,
+				arrayType: BINARY_ARRAY_TYPE_NAMES[record.binaryArrayType || 0],
+				rank: record.rank,
+				lengths: record.lengths,
+				lowerBounds: record.lowerBounds,
+				itemType: describeType(record.itemType, record.additionalInfo, libraryNames),
+				items: []
+			};
+			nodes.set(record, node);
+			record.memberValues.forEach((value, i) => node.items.push(valueNode(value, primitiveTypes[i])));
+			return node;
+		}
+
+		const node = {
+			kind: "class",
+			id: record.objectId,
+			typeName: record.name,
+			library: record.libraryId === null ? null : libraryNames[record.libraryId],
+			members: {}
+		};
+		nodes.set(record, node);
+		record.memberNames.forEach((name, i) => {
+			node.members[name] = {
+				type: describeType(record.memberTypes[i], record.additionalInfos[i], libraryNames),
+				value: valueNode(record.memberValues[i], primitiveTypes[i])
+			};
+		});
+		if (record.memberNames.length === 1 && record.memberNames[0] === "value__") {
+			node.kind = "enum";
+			node.underlyingType = node.members.value__.type && node.members.value__.type.name;
+			node.value = node.members.value__.value;
+		} else if (record.name.startsWith("System.Collections.Generic.List`1") && node.members._items) {
+			node.kind = "list";
+			node.items = node.members._items.value;
+			node.size = node.members._size ? node.members._size.value : null;
+		}
+		return node;
+	}
+
+	return {
+		header: graph.header,
+		libraries: graph.libraries,
+		root: graph.root ? recordNode(graph.root) : null,
+		message: graph.message
+	};
+}
+
+// How many bytes deserializeGraph() reads between onProgress calls.
+const PROGRESS_INTERVAL = 0x10000;
+// The most items deserializeGraph() reads into one array by default.
+const MAX_ARRAY_LENGTH = 0x100000;
+
+// Decodes a stream into its record graph: the header, the libraries and the root
+// record, with references resolved. serialize() turns a graph back into bytes.
+// input is an ArrayBuffer, a typed array or a binary string.
+// options.int64: how int64/uint64 values come back: "string" (the default, the
+// exact decimal text), "bigint" or "number" (losing precision above 2^53).
+// options.lenient: instead of throwing a DeserializationError, return what was
+// decoded before it with the error in the graph's error property.
+// options.maxArrayLength: the most items an array may hold, MAX_ARRAY_LENGTH
+// by default; a longer one is a DeserializationError.
+// options.onProgress(position, length): called as the stream is read, every
+// PROGRESS_INTERVAL bytes and when the whole stream has been read.
+function deserializeGraph(input, options = {}) {
+	let reader = null;
 	const state = {
 		libraries: [],
 		objects: {},
 		references: [],
-		objectStack: []
+		objectStack: [],
+		message: null,
+		record: null,
+		progressReported: 0
 	}
 	const result = {
 	};
+	try {
+		// Inside the try, so that with options.lenient a stream that doesn't
+		// start with a header comes back as an empty graph with the error.
+		reader = byteReader(input);
+		readRecords(reader, state, result, options);
+	} catch (e) {
+		const error = e instanceof DeserializationError ? e : new DeserializationError(e.message, reader ? reader.position() : 0);
+		if (error !== e) {
+			error.cause = e;
+		}
+		if (error.recordType === null) {
+			error.recordType = state.record;
+		}
+		error.path = objectStackPath(state.objectStack);
+		if (error.path) {
+			error.message += " while reading " + error.path;
+		}
+		if (!options.lenient) {
+			throw error;
+		}
+		return finishGraph(state, result, error);
+	}
+	if (options.onProgress) {
+		options.onProgress(reader.position(), reader.position() + reader.remaining());
+	}
+	return finishGraph(state, result, null);
+}
+
+function finishGraph(state, result, error) {
+	for (const r of state.references) {
+		r();
+	}
+	return {
+		header: result.header,
+		libraries: state.libraries,
+		// Without a header, as when it failed to read, the first object stands in.
+		root: result.header ? state.objects[result.header.rootId] : Object.values(state.objects)[0],
+		message: state.message,
+		error
+	};
+}
+
+// Describes the member being read, e.g. "PlayerData.inventory[3].name".
+function objectStackPath(stack) {
+	if (!stack.length) {
+		return null;
+	}
+	let path = stack[0].rank ? "array#" + stack[0].objectId : stack[0].name;
+	stack.forEach((obj, i) => {
+		// Inline children are already in their parent's memberValues.
+		const idx = obj.memberValues.length - (i < stack.length - 1 ? 1 : 0);
+		if (idx < memberCount(obj)) {
+			path += obj.rank ? "[" + idx + "]" : "." + obj.memberNames[idx];
+		}
+	});
+	return path;
+}
+
+function memberCount(obj) {
+	return obj.rank ? obj.itemCount : obj.memberTypes.length;
+}
+
+// Adds count nulls to obj, as read from an ObjectNull256 or ObjectNullMultiple
+// record at offset.
+function pushNulls(obj, count, offset) {
+	const remaining = memberCount(obj) - obj.memberValues.length;
+	if (count < 0 || count > remaining) {
+		throw new DeserializationError("Run of " + count + " nulls doesn't fit the " + remaining + " slots left.", offset);
+	}
+	for (let i = 0; i < count; i++) {
+		obj.memberValues.push(null);
+	}
+}
+
+// Records that only make sense as the value of a member or array item.
+const MEMBER_RECORDS = [0x08, 0x09, 0x0A, 0x0D, 0x0E];
+
+function readRecords(reader, state, result, options) {
 	while (true) {
 		const currentObject = state.objectStack[state.objectStack.length - 1];
+		state.record = null;
 		if (currentObject) {
 			// Handle un-prefixed records
 			const currentMemberIdx = currentObject.memberValues.length;
-			if (currentMemberIdx < currentObject.memberTypes.length) {
+			if (currentMemberIdx < memberCount(currentObject)) {
 				// Still more members in the current class.
-				const memberType = currentObject.memberTypes[currentMemberIdx];
+				const isArray = !!currentObject.rank;
+				const memberType = isArray ? currentObject.itemType : currentObject.memberTypes[currentMemberIdx];
 				if (memberType === 0) {
 					// Primitive type - no record prefix.
-					currentObject.memberValues[currentMemberIdx] = deserializePrimitiveType(reader, currentObject.additionalInfos[currentMemberIdx]);
+					const primitiveType = isArray ? currentObject.additionalInfo : currentObject.additionalInfos[currentMemberIdx];
+					currentObject.memberValues[currentMemberIdx] = deserializePrimitiveType(reader, primitiveType, options);
 					continue;
 				}
 				// Not a primitive type, we need to decode the record.
@@ -193,7 +681,16 @@ function deserialize(str) {
 				continue;
 			}
 		}
+		const recordOffset = reader.position();
+		if (options.onProgress && recordOffset - state.progressReported >= PROGRESS_INTERVAL) {
+			state.progressReported = recordOffset;
+			options.onProgress(recordOffset, recordOffset + reader.remaining());
+		}
 		const record = reader.read8();
+		state.record = record;
+		if (!currentObject && MEMBER_RECORDS.includes(record)) {
+			throw new DeserializationError("Record type 0x" + record.toString(16).padStart(2, "0") + " found outside of an object.", recordOffset);
+		}
 		switch (record) {
 			case 0x00: // SerializationHeaderRecord
 				result.header = deserializeHeader(reader, state);
@@ -204,197 +701,1011 @@ function deserialize(str) {
 				const cls1 = {...state.objects[metadataId]};
 				cls1.memberValues = [];
 				cls1.objectId = objectId;
-				if (currentObject) {
-					currentObject.memberValues.push(cls1);
-				}
-				state.objectStack.push(cls1);
-				state.objects[cls1.objectId] = cls1;
+				delete cls1.primitiveTypes;
+				beginObject(state, currentObject, cls1);
+				break;
+			case 0x02: // SystemClassWithMembersRecord
+			case 0x03: // ClassWithMembersRecord
+				beginObject(state, currentObject, deserializeClassWithMembers(reader, state, record === 0x02));
 				break;
 			case 0x04: // SystemClassWithMembersAndTypesRecord
 			case 0x05: // ClassWithMembersAndTypesRecord
-				const cls = deserializeClassWithMembersAndTypes(reader, state, record === 0x04);
-				if (currentObject) {
-					currentObject.memberValues.push(cls);
-				}
-				state.objectStack.push(cls);
-				state.objects[cls.objectId] = cls;
+				beginObject(state, currentObject, deserializeClassWithMembersAndTypes(reader, state, record === 0x04));
 				break;
 			case 0x06: // BinaryObjectString
 				const bos = deserializeBinaryObjectString(reader);
 				state.objects[bos.objectId] = bos.value;
-				currentObject.memberValues.push(bos.value);
+				if (currentObject) {
+					currentObject.memberValues.push(bos.value);
+				}
 				break;
 			case 0x07: // BinaryArray
-				const binaryArrayObjectId = reader.read32();
-				const binaryArrayType = reader.read8();
-				const rank = reader.read32();
-				const lengths = [];
-				const lowerBounds = [];
-				for(let i = 0; i < rank; i++) {
-					lengths.push(reader.read32());
-				}
-				if (binaryArrayType > 2) {
-					for(let i = 0; i < rank; i++) {
-						lowerBounds.push(reader.read32());
-					}
-				}
-				const binaryArrayItemType = reader.read8();
-				const additionalInfo = deserializeAdditionalTypeInfo(reader, binaryArrayItemType);
-
-				const totalLength = lengths.reduce((x,y) => x + y);
-				const binaryArrayObj = {
-					objectId: binaryArrayObjectId,
-					rank,
-					lengths,
-					lowerBounds,
-					itemType: binaryArrayItemType,
-					additionalInfos: Array(totalLength).fill(additionalInfo),
-					memberValues: [],
-					memberTypes: Array(totalLength).fill(binaryArrayItemType)
-				};
-				state.objects[binaryArrayObjectId] = binaryArrayObj;
-				state.objectStack.push(binaryArrayObj);
+				beginObject(state, currentObject, deserializeBinaryArray(reader, options));
+				break;
+			case 0x08: // MemberPrimitiveTyped
+				const primitiveType = reader.read8();
+				// Remember the boxed type so the value can be written back the same way.
+				currentObject.primitiveTypes = currentObject.primitiveTypes || [];
+				currentObject.primitiveTypes[currentObject.memberValues.length] = primitiveType;
+				currentObject.memberValues.push(deserializePrimitiveType(reader, primitiveType, options));
 				break;
 			case 0x09: // MemberReference
 				const reference = deserializeMemberReference(reader);
 				const idx = currentObject.memberValues.length;
-				state.references.push(() => currentObject.memberValues[idx] = state.objects[reference]);
+				state.references.push(() => {
+					// A reference to an object that was never read keeps its placeholder.
+					if (reference in state.objects) {
+						currentObject.memberValues[idx] = state.objects[reference];
+					}
+				});
 				currentObject.memberValues.push({ref: reference});
 				break;
 			case 0x0A: // ObjectNull
 				currentObject.memberValues.push(null);
 				break;
 			case 0x0B: // MessageEnd
-				for (const r of state.references) {
-					r();
+				if (currentObject) {
+					throw new DeserializationError("MessageEnd found before the object being read was complete.", recordOffset);
 				}
-				const c = Object.values(state.objects)[0];
-				return mapMembers(c);
+				return;
 			case 0x0C: // BinaryLibraryRecord
 				state.libraries.push(deserializeBinaryLibrary(reader));
 				break;
 			case 0x0D: // ObjectNull256
-				const nullCount = reader.read8();
-				Array.prototype.push.apply(currentObject.memberValues, Array(nullCount).fill(null));
+				pushNulls(currentObject, reader.read8(), recordOffset);
+				break;
+			case 0x0E: // ObjectNullMultiple
+				pushNulls(currentObject, reader.read32(), recordOffset);
 				break;
 			case 0x0F: // ArraySinglePrimitive
-				const arrayObjectId = reader.read32();
-				const length = reader.read32();
-				const type = reader.read8();
-				const array = [];
-				for (let i = 0; i < length; i++) {
-					array.push(deserializePrimitiveType(reader, type));
-				}
-				state.objects[arrayObjectId] = array;
+				beginObject(state, currentObject, deserializeArraySinglePrimitive(reader, options));
+				break;
+			case 0x10: // ArraySingleObject
+				beginObject(state, currentObject, deserializeArraySingle(reader, 2, options));
+				break;
+			case 0x11: // ArraySingleString
+				beginObject(state, currentObject, deserializeArraySingle(reader, 1, options));
+				break;
+			case 0x15: // BinaryMethodCall
+				state.message = deserializeBinaryMethodCall(reader, options);
+				break;
+			case 0x16: // BinaryMethodReturn
+				state.message = deserializeBinaryMethodReturn(reader, options);
 				break;
 			default:
-				debugger;
-				console.error("unable to deserialize record of type " + record + ".");
+				throw new UnknownRecordError(record, recordOffset);
 		}
 	}
 }
 
-function bitReader(str) {
-	const bytes = str.split("").map(c=>c.charCodeAt(0));
-	if (bytes[0] != 0) {
-		throw "Unable to deserialize.";
+// Decodes a stream into plain JSON-friendly values; see deserializeGraph() for options.
+function deserialize(input, options = {}) {
+	const graph = deserializeGraph(input, options);
+	if (graph.message) {
+		// Remoting messages put any arguments that couldn't be inlined in a trailing array.
+		return {...graph.message, callArray: graph.root ? mapMembers(graph.root) : null};
 	}
+	return mapMembers(graph.root);
+}
 
-	let bit = 0;
-	function peek(bits) {
-		var result = read(bits);
-		bit -= bits;
-		return result;
+// Decodes a stream into the tree described at buildAst(); see deserializeGraph() for options.
+function deserializeAst(input, options = {}) {
+	return buildAst(deserializeGraph(input, options));
+}
+
+function toUint8Array(input) {
+	if (input instanceof Uint8Array) {
+		return input;
+	}
+	if (input instanceof ArrayBuffer) {
+		return new Uint8Array(input);
+	}
+	if (ArrayBuffer.isView(input)) {
+		return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
 	}
-	function read(bits) {
-		const startByte = Math.floor(bit / 8);
-		const endByte = Math.ceil((bit + bits) / 8);
-		const b = bytes.slice(startByte, endByte);
-		let result = reduce(b);
-		const mask = Math.pow(2, bits) - 1;
-		result >>= (bit % 8);
+	// A binary string, one byte per char, as returned by atob.
+	const bytes = new Uint8Array(input.length);
+	for (let i = 0; i < input.length; i++) {
+		bytes[i] = input.charCodeAt(i);
+	}
+	return bytes;
+}
+
+const utf8Decoder = typeof TextDecoder !== "undefined" ? new TextDecoder("utf-8") : null;
 
-		bit += bits;
-		const f = result & mask;
-		return f;
+function decodeUtf8(bytes) {
+	if (utf8Decoder) {
+		return utf8Decoder.decode(bytes);
 	}
+	const codePoints = [];
+	for (let i = 0; i < bytes.length; i++) {
+		const lead = bytes[i];
+		let extra = 0;
+		let codePoint = lead;
+		if (lead >= 0xF0) {
+			extra = 3;
+			codePoint = lead & 0x07;
+		} else if (lead >= 0xE0) {
+			extra = 2;
+			codePoint = lead & 0x0F;
+		} else if (lead >= 0xC0) {
+			extra = 1;
+			codePoint = lead & 0x1F;
+		}
+		for (let j = 0; j < extra && i + 1 < bytes.length; j++) {
+			codePoint = (codePoint << 6) | (bytes[++i] & 0x3F);
+		}
+		codePoints.push(codePoint);
+	}
+	let string = "";
+	for (let i = 0; i < codePoints.length; i += 0x8000) {
+		string += String.fromCodePoint.apply(null, codePoints.slice(i, i + 0x8000));
+	}
+	return string;
+}
 
-	function readByteArray(count) {
-		const ret = bytes.slice(bit / 8, (bit / 8) + count);
-		bit += count * 8;
-		return ret;
+function byteReader(input) {
+	const bytes = toUint8Array(input);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	if (bytes[0] != 0) {
+		throw new DeserializationError("Not an MS-NRBF stream: it must start with a SerializationHeaderRecord (0x00).", 0);
 	}
 
-	function reduce(array) {
-		let result = 0;
-		let k = 0;
-		for (const b of array) {
-			result += (b << (k * 8));
-			k++;
+	let pos = 0;
+	function need(count) {
+		if (pos + count > bytes.length) {
+			throw new EndOfBufferError(count, pos);
 		}
-		return result;
+	}
+
+	function readByteArray(count) {
+		const ret = bytes.subarray(pos, pos + count);
+		pos += count;
+		return ret;
 	}
 
 	return {
-		peek: (c) => peek(c),
-		read: (c) => read(c),
-		read8: () => read(8),
-		read16: () => read(16),
-		read32: () => read(32),
+		position: () => pos,
+		remaining: () => bytes.length - pos,
+		read8: () => {
+			need(1);
+			return view.getUint8(pos++);
+		},
+		read16: () => {
+			need(2);
+			const value = view.getUint16(pos, true);
+			pos += 2;
+			return value;
+		},
+		read32: () => {
+			need(4);
+			const value = view.getInt32(pos, true);
+			pos += 4;
+			return value;
+		},
+		// A BigInt, as int64 values don't all fit in a number.
 		read64: () => {
-			const low = read(32);
-			const high = read(32);
-			return new Long(low,high).toNumber()
+			need(8);
+			const value = view.getBigInt64(pos, true);
+			pos += 8;
+			return value;
+		},
+		readUInt64: () => {
+			need(8);
+			const value = view.getBigUint64(pos, true);
+			pos += 8;
+			return value;
 		},
 		readSingle: () => {
-			var buffer = new ArrayBuffer(8);
-			(new Uint32Array(buffer))[0] = read(32);
-			return new Float32Array(buffer)[0];
+			need(4);
+			const value = view.getFloat32(pos, true);
+			pos += 4;
+			return value;
 		},
 		readDouble: () => {
-			var buffer = new ArrayBuffer(8);
-			(new Uint32Array(buffer))[0] = read(32);
-			(new Uint32Array(buffer))[1] = read(32);
-			return new Float64Array(buffer)[0];
+			need(8);
+			const value = view.getFloat64(pos, true);
+			pos += 8;
+			return value;
 		},
 		readLengthPrefixedString: () => {
-			let multiplier = 0;
+			const start = pos;
+			// The length is a 7-bit encoded int: the high bit of each byte flags a continuation.
 			let len = 0;
-			for (let j = 0; j < 5; j++) {
-				const nextLength = read(7);
-				len += (nextLength << multiplier * 7);
-				multiplier ++;
-				if (!read(1)) {
+			for (let j = 0; ; j++) {
+				if (j === 5) {
+					throw new DeserializationError("String length prefix is longer than 5 bytes.", start);
+				}
+				need(1);
+				const next = view.getUint8(pos++);
+				len += (next & 0x7F) * Math.pow(2, 7 * j);
+				if (!(next & 0x80)) {
 					break;
 				}
 			}
-			const charArray = readByteArray(len);
-			// TODO: decode UTF-8 correctly
-			const string = charArray.map(x => String.fromCharCode(x)).join("");
-			return string;
+			if (len > 0x7FFFFFFF) {
+				throw new DeserializationError("String length " + len + " is out of range.", start);
+			}
+			if (pos + len > bytes.length) {
+				throw new DeserializationError("String of length " + len + " runs past the end of the buffer.", start);
+			}
+			return decodeUtf8(readByteArray(len));
 		},
 		bytes: bytes,
 	}
 }
 
-function handleFileSelect(evt) {
-	const files = evt.target.files;
+function base64ToBytes(str) {
+	let binary;
+	try {
+		binary = atob(str);
+	} catch (e) {
+		throw new DeserializationError("Input is not valid base64.");
+	}
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
 
-	for (const f of files) {
-		const reader = new FileReader();
-		reader.onload = (function (theFile) {
-			return function (e) {
-				const t = atob(e.target.result)
-				const data = deserialize(t);
-				const playerData = atob(data.playerData)
-				const decodedPlayerData = deserialize(playerData);
-				const textArea = document.getElementById('output')
-				textArea.value = JSON.stringify(decodedPlayerData, null, 2);
-			};
-		})(f);
+const utf8Encoder = typeof TextEncoder !== "undefined" ? new TextEncoder() : null;
+
+function encodeUtf8(string) {
+	if (utf8Encoder) {
+		return utf8Encoder.encode(string);
+	}
+	const bytes = [];
+	for (const char of string) {
+		const codePoint = char.codePointAt(0);
+		if (codePoint < 0x80) {
+			bytes.push(codePoint);
+		} else if (codePoint < 0x800) {
+			bytes.push(0xC0 | (codePoint >> 6), 0x80 | (codePoint & 0x3F));
+		} else if (codePoint < 0x10000) {
+			bytes.push(0xE0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3F), 0x80 | (codePoint & 0x3F));
+		} else {
+			bytes.push(0xF0 | (codePoint >> 18), 0x80 | ((codePoint >> 12) & 0x3F), 0x80 | ((codePoint >> 6) & 0x3F), 0x80 | (codePoint & 0x3F));
+		}
+	}
+	return new Uint8Array(bytes);
+}
+
+function byteWriter() {
+	let bytes = new Uint8Array(1024);
+	let view = new DataView(bytes.buffer);
+	let pos = 0;
+	function reserve(count) {
+		if (pos + count > bytes.length) {
+			const grown = new Uint8Array(Math.max(bytes.length * 2, pos + count));
+			grown.set(bytes);
+			bytes = grown;
+			view = new DataView(bytes.buffer);
+		}
+		const start = pos;
+		pos += count;
+		return start;
+	}
+
+	// Growing replaces bytes and view, so they are only read after reserve().
+	function writeBytes(array) {
+		const start = reserve(array.length);
+		bytes.set(array, start);
+	}
+
+	function writeWith(setter, count) {
+		return (value) => {
+			const start = reserve(count);
+			setter.call(view, start, value, true);
+		};
+	}
+
+	const write8 = writeWith(DataView.prototype.setUint8, 1);
+
+	return {
+		write8,
+		write16: writeWith(DataView.prototype.setUint16, 2),
+		write32: writeWith(DataView.prototype.setInt32, 4),
+		writeUInt32: writeWith(DataView.prototype.setUint32, 4),
+		writeInt64: writeWith(DataView.prototype.setBigInt64, 8),
+		writeUInt64: writeWith(DataView.prototype.setBigUint64, 8),
+		writeSingle: writeWith(DataView.prototype.setFloat32, 4),
+		writeDouble: writeWith(DataView.prototype.setFloat64, 8),
+		writeBytes,
+		writeLengthPrefixedString: (string) => {
+			const encoded = encodeUtf8(string);
+			let len = encoded.length;
+			do {
+				const next = len & 0x7F;
+				len = Math.floor(len / 0x80);
+				write8(len ? next | 0x80 : next);
+			} while (len);
+			writeBytes(encoded);
+		},
+		toBytes: () => bytes.slice(0, pos)
+	};
+}
+
+function dateTimeToTicks(value) {
+	// The ISO string carries the full 100ns precision, so it wins over ms.
+	const seconds = Date.parse(value.iso.slice(0, 19) + "Z");
+	const fraction = (value.iso.slice(20, 27) || "").padEnd(7, "0");
+	const ticks = (BigInt(seconds) + BigInt(TICKS_EPOCH_OFFSET_MS)) * BigInt(TICKS_PER_MS) + BigInt(fraction);
+	return ticks | (BigInt(Math.max(DATE_TIME_KINDS.indexOf(value.kind), 0)) << 62n);
+}
+
+// The smallest and largest value of each integer primitive, by PrimitiveType.
+const INTEGER_RANGES = {
+	2: [0n, 0xFFn],
+	7: [-0x8000n, 0x7FFFn],
+	8: [-0x80000000n, 0x7FFFFFFFn],
+	9: [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn],
+	10: [-0x80n, 0x7Fn],
+	12: [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn],
+	14: [0n, 0xFFFFn],
+	15: [0n, 0xFFFFFFFFn],
+	16: [0n, 0xFFFFFFFFFFFFFFFFn]
+};
+
+// Returns value as a BigInt, throwing a RangeError rather than letting the
+// write wrap it when it isn't a whole number the primitive can hold.
+function checkedInteger(type, value) {
+	let integer = null;
+	if (typeof value === "number" || typeof value === "bigint" || (typeof value === "string" && value.trim() !== "")) {
+		try {
+			integer = BigInt(value);
+		} catch (e) {
+			// Not a whole number.
+		}
+	}
+	const [min, max] = INTEGER_RANGES[type];
+	if (integer === null || integer < min || integer > max) {
+		throw new RangeError("Value " + value + " is out of range for " + PRIMITIVE_TYPE_NAMES[type] + ".");
+	}
+	return integer;
+}
+
+function serializePrimitiveType(writer, type, value) {
+	switch (type) {
+		case 1: // boolean
+			return writer.write8(value ? 1 : 0);
+		case 2: // byte
+			return writer.write8(Number(checkedInteger(type, value)));
+		case 3: // char
+			return writer.writeBytes(encodeUtf8(value));
+		case 5: // decimal
+			return writer.writeLengthPrefixedString(String(value));
+		case 6: // double
+			return writer.writeDouble(value);
+		case 7: // int16
+			return writer.write16(Number(checkedInteger(type, value)) & 0xFFFF);
+		case 8: // int32
+			return writer.write32(Number(checkedInteger(type, value)));
+		case 9: // int64
+			return writer.writeInt64(checkedInteger(type, value));
+		case 10: // sbyte
+			return writer.write8(Number(checkedInteger(type, value)) & 0xFF);
+		case 11: // single
+			return writer.writeSingle(value);
+		case 12: // timespan
+			return writer.writeInt64(checkedInteger(type, value.ticks));
+		case 13: // datetime
+			return writer.writeUInt64(dateTimeToTicks(value));
+		case 14: // uint16
+			return writer.write16(Number(checkedInteger(type, value)));
+		case 15: // uint32
+			return writer.writeUInt32(Number(checkedInteger(type, value)));
+		case 16: // uint64
+			return writer.writeUInt64(checkedInteger(type, value));
+		case 17: // null
+			return;
+		case 18: // string
+			return writer.writeLengthPrefixedString(value);
+		default:
+			throw new TypeError("Unmapped primitive " + type + ".");
+	}
+}
 
-		reader.readAsText(f);
+function guessPrimitiveType(value) {
+	// Values added by hand to object slots carry no recorded type.
+	switch (typeof value) {
+		case "boolean":
+			return 1;
+		case "bigint":
+			return 9;
+		case "number":
+			return Number.isInteger(value) && (value | 0) === value ? 8 : 6;
+		default:
+			return 18;
 	}
 }
 
-document.getElementById('files').addEventListener('change', handleFileSelect, false);
+// Writes a record graph from deserializeGraph() back out as an MS-NRBF stream.
+// Object ids are reassigned in the order BinaryFormatter would assign them, and
+// class metadata is written once and then reused through ClassWithId records.
+// int64 values survive the trip exactly unless they were decoded with int64 "number".
+// An edited integer its primitive type can't hold throws a RangeError.
+function serialize(graph) {
+	const writer = byteWriter();
+	const libraryNames = {};
+	for (const library of graph.libraries) {
+		libraryNames[library.id] = library.name;
+	}
+	const ids = new Map();
+	const strings = new Map();
+	const libraryIds = new Map();
+	const metadataIds = new Map();
+	const queue = [];
+	let nextId = 1;
+
+	function writeLibrary(libraryId) {
+		const name = libraryNames[libraryId];
+		if (!libraryIds.has(name)) {
+			libraryIds.set(name, nextId++);
+			writer.write8(0x0C);
+			writer.write32(libraryIds.get(name));
+			writer.writeLengthPrefixedString(name);
+		}
+		return libraryIds.get(name);
+	}
+
+	function writeAdditionalTypeInfo(type, info) {
+		switch (type) {
+			case 0: // Primitive
+			case 7: // PrimitiveArray
+				return writer.write8(info);
+			case 3: // SystemClass
+				return writer.writeLengthPrefixedString(info);
+			case 4: // Class
+				writer.writeLengthPrefixedString(info.className);
+				return writer.write32(libraryIds.get(libraryNames[info.libraryId]));
+		}
+	}
+
+	function writeTypeLibraries(types, infos) {
+		// Libraries have to be written before the record that refers to them.
+		types.forEach((type, i) => {
+			if (type === 4) {
+				writeLibrary(infos[i].libraryId);
+			}
+		});
+	}
+
+	function writeClass(cls, id) {
+		const library = cls.libraryId === null ? null : libraryNames[cls.libraryId];
+		const key = library + ":" + cls.name;
+		if (metadataIds.has(key)) {
+			writer.write8(0x01);
+			writer.write32(id);
+			writer.write32(metadataIds.get(key));
+			return;
+		}
+		metadataIds.set(key, id);
+		const typed = !cls.memberTypes.includes(null);
+		if (typed) {
+			writeTypeLibraries(cls.memberTypes, cls.additionalInfos);
+		}
+		if (library !== null) {
+			writeLibrary(cls.libraryId);
+		}
+		writer.write8((library === null ? 0x02 : 0x03) + (typed ? 2 : 0));
+		writer.write32(id);
+		writer.writeLengthPrefixedString(cls.name);
+		writer.write32(cls.memberNames.length);
+		for (const name of cls.memberNames) {
+			writer.writeLengthPrefixedString(name);
+		}
+		if (typed) {
+			for (const type of cls.memberTypes) {
+				writer.write8(type);
+			}
+			cls.memberTypes.forEach((type, i) => writeAdditionalTypeInfo(type, cls.additionalInfos[i]));
+		}
+		if (library !== null) {
+			writer.write32(libraryIds.get(library));
+		}
+	}
+
+	function writeArray(array, id) {
+		const length = array.memberValues.length;
+		if (array.binaryArrayType === undefined && array.rank === 1) {
+			switch (array.itemType) {
+				case 0:
+					writer.write8(0x0F); // ArraySinglePrimitive
+					writer.write32(id);
+					writer.write32(length);
+					writer.write8(array.additionalInfo);
+					return;
+				case 1:
+				case 2:
+					writer.write8(array.itemType === 1 ? 0x11 : 0x10); // ArraySingleString / ArraySingleObject
+					writer.write32(id);
+					writer.write32(length);
+					return;
+			}
+		}
+		writeTypeLibraries([array.itemType], [array.additionalInfo]);
+		const binaryArrayType = array.binaryArrayType || 0;
+		writer.write8(0x07); // BinaryArray
+		writer.write32(id);
+		writer.write8(binaryArrayType);
+		writer.write32(array.rank);
+		const lengths = array.rank === 1 ? [length] : array.lengths;
+		for (const l of lengths) {
+			writer.write32(l);
+		}
+		if (binaryArrayType > 2) {
+			for (const lowerBound of array.lowerBounds) {
+				writer.write32(lowerBound);
+			}
+		}
+		writer.write8(array.itemType);
+		writeAdditionalTypeInfo(array.itemType, array.additionalInfo);
+	}
+
+	function writeNulls(count) {
+		if (count === 1) {
+			writer.write8(0x0A); // ObjectNull
+		} else if (count < 256) {
+			writer.write8(0x0D); // ObjectNullMultiple256
+			writer.write8(count);
+		} else {
+			writer.write8(0x0E); // ObjectNullMultiple
+			writer.write32(count);
+		}
+	}
+
+	function writeValue(value, primitiveType) {
+		if (typeof value === "string" && primitiveType === undefined) {
+			if (strings.has(value)) {
+				writer.write8(0x09);
+				writer.write32(strings.get(value));
+				return;
+			}
+			strings.set(value, nextId++);
+			writer.write8(0x06); // BinaryObjectString
+			writer.write32(strings.get(value));
+			writer.writeLengthPrefixedString(value);
+			return;
+		}
+		if (!value || !value.memberValues) {
+			if (primitiveType === undefined && typeof value === "object" && value !== null) {
+				// Objects need a record, which applyMembers() only makes when it has one to copy.
+				throw new TypeError("Unable to serialize an object that has no record for its class.");
+			}
+			// A boxed primitive in an object slot.
+			const type = primitiveType === undefined ? guessPrimitiveType(value) : primitiveType;
+			writer.write8(0x08); // MemberPrimitiveTyped
+			writer.write8(type);
+			serializePrimitiveType(writer, type, value);
+			return;
+		}
+		if (!ids.has(value) && value.inline) {
+			ids.set(value, nextId++);
+			writeObject(value);
+			return;
+		}
+		if (!ids.has(value)) {
+			ids.set(value, nextId++);
+			queue.push(value);
+		}
+		writer.write8(0x09); // MemberReference
+		writer.write32(ids.get(value));
+	}
+
+	function writeObject(obj) {
+		const id = ids.get(obj);
+		const isArray = !!obj.rank;
+		if (isArray) {
+			writeArray(obj, id);
+		} else {
+			writeClass(obj, id);
+		}
+		const values = obj.memberValues;
+		for (let i = 0; i < values.length; i++) {
+			const type = isArray ? obj.itemType : obj.memberTypes[i];
+			if (type === 0) {
+				serializePrimitiveType(writer, isArray ? obj.additionalInfo : obj.additionalInfos[i], values[i]);
+			} else if (values[i] === null || values[i] === undefined) {
+				// Arrays collapse runs of nulls; class members write each one.
+				let count = 1;
+				while (isArray && i + count < values.length && (values[i + count] === null || values[i + count] === undefined)) {
+					count++;
+				}
+				writeNulls(count);
+				i += count - 1;
+			} else {
+				writeValue(values[i], obj.primitiveTypes ? obj.primitiveTypes[i] : undefined);
+			}
+		}
+	}
+
+	writer.write8(0x00); // SerializationHeaderRecord
+	writer.write32(1);
+	writer.write32(graph.header ? graph.header.headerId : -1);
+	writer.write32(1);
+	writer.write32(0);
+	ids.set(graph.root, nextId++);
+	queue.push(graph.root);
+	while (queue.length) {
+		writeObject(queue.shift());
+	}
+	writer.write8(0x0B); // MessageEnd
+	return writer.toBytes();
+}
+
+// A deep copy of a record and the records under it, with the same metadata.
+function cloneRecord(record, copies = new Map()) {
+	if (!record || !record.memberValues) {
+		return record;
+	}
+	if (copies.has(record)) {
+		return copies.get(record);
+	}
+	const copy = { ...record };
+	copies.set(record, copy);
+	copy.memberValues = record.memberValues.map(value => cloneRecord(value, copies));
+	if (record.lengths) {
+		copy.lengths = record.lengths.slice();
+	}
+	if (record.primitiveTypes) {
+		copy.primitiveTypes = record.primitiveTypes.slice();
+	}
+	return copy;
+}
+
+// Whether value is the mapMembers() projection of a class, rather than a
+// primitive, a DateTime or TimeSpan, or an array.
+function isClassValue(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value) && !("iso" in value) && !("ticks" in value);
+}
+
+// The inverse of mapMembers(): writes a (possibly edited) plain value back into
+// the record it was projected from, and returns the value for that record's slot.
+// An object added to an array of class records starts as a copy of the array's
+// last record, so members it leaves out keep that record's values.
+function applyMembers(obj, value) {
+	if (!obj || !obj.memberValues) {
+		return value;
+	}
+
+	if (obj.rank) {
+		const values = obj.memberValues;
+		const template = values.findLast(item => item && item.memberValues && !item.rank);
+		value = value.flat(obj.rank - 1);
+		if (obj.rank === 1 && value.length !== values.length) {
+			// Resize single-dimension arrays.
+			values.length = value.length;
+			obj.lengths = [value.length];
+			obj.itemCount = value.length;
+		}
+		for (let i = 0; i < values.length; i++) {
+			if (template && isClassValue(value[i]) && !(values[i] && values[i].memberValues)) {
+				values[i] = cloneRecord(template);
+			}
+			values[i] = applyMembers(values[i], value[i]);
+		}
+		return obj;
+	}
+
+	const itemsIdx = obj.memberNames.indexOf("_items");
+	const valueIdx = obj.memberNames.indexOf("value__");
+	if (itemsIdx !== -1 || valueIdx !== -1) {
+		const idx = itemsIdx !== -1 ? itemsIdx : valueIdx;
+		const sizeIdx = obj.memberNames.indexOf("_size");
+		const items = obj.memberValues[idx];
+		if (itemsIdx !== -1 && sizeIdx !== -1 && items && items.memberValues.length !== value.length) {
+			obj.memberValues[sizeIdx] = value.length;
+		}
+		obj.memberValues[idx] = applyMembers(items, value);
+		return obj;
+	}
+
+	for (const idx in obj.memberNames) {
+		const name = obj.memberNames[idx];
+		if (name in value) {
+			obj.memberValues[idx] = applyMembers(obj.memberValues[idx], value[name]);
+		}
+	}
+	return obj;
+}
+
+function bytesToBase64(bytes) {
+	let binary = "";
+	for (let i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary);
+}
+
+// Per-round left rotations and sine-derived constants of RFC 1321.
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+function md5(bytes) {
+	const length = bytes.length;
+	const padded = new Uint8Array(((length + 8) >> 6 << 6) + 64);
+	padded.set(bytes);
+	padded[length] = 0x80;
+	const view = new DataView(padded.buffer);
+	view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+	view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+
+	const state = [0x67452301, 0xEFCDAB89 | 0, 0x98BADCFE | 0, 0x10325476];
+	for (let offset = 0; offset < padded.length; offset += 64) {
+		let [a, b, c, d] = state;
+		for (let i = 0; i < 64; i++) {
+			let f;
+			let g;
+			if (i < 16) {
+				f = (b & c) | (~b & d);
+				g = i;
+			} else if (i < 32) {
+				f = (d & b) | (~d & c);
+				g = (5 * i + 1) % 16;
+			} else if (i < 48) {
+				f = b ^ c ^ d;
+				g = (3 * i + 5) % 16;
+			} else {
+				f = c ^ (b | ~d);
+				g = (7 * i) % 16;
+			}
+			const shift = MD5_SHIFTS[(i >> 4) * 4 + (i & 3)];
+			const sum = (a + f + MD5_CONSTANTS[i] + view.getInt32(offset + g * 4, true)) | 0;
+			a = d;
+			d = c;
+			c = b;
+			b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+		}
+		state[0] = (state[0] + a) | 0;
+		state[1] = (state[1] + b) | 0;
+		state[2] = (state[2] + c) | 0;
+		state[3] = (state[3] + d) | 0;
+	}
+	const digest = new Uint8Array(16);
+	const digestView = new DataView(digest.buffer);
+	state.forEach((word, i) => digestView.setInt32(i * 4, word, true));
+	return digest;
+}
+
+// NGU stores checksum = base64(MD5(UTF-8 bytes of the playerData string)) next
+// to playerData in the outer wrapper.
+function computeChecksum(playerData) {
+	return bytesToBase64(md5(encodeUtf8(playerData)));
+}
+
+function wrapperIndex(graph, name) {
+	return graph && graph.root && !graph.root.rank ? graph.root.memberNames.indexOf(name) : -1;
+}
+
+// Whether computeChecksum() has been confirmed to match the game's own checksum
+// on saves exported from it. Until it has, a mismatch may be this code's fault.
+const CHECKSUM_VERIFIED = false;
+
+// Checks the checksum of a save from decodeSave() or loadSave(). Returns
+// { status, expected, actual, verified }, where verified is CHECKSUM_VERIFIED
+// and status is one of:
+//   "valid":     the checksum matches and the player data decodes;
+//   "tampered":  the player data decodes but doesn't match the checksum,
+//                as after editing it by hand;
+//   "corrupted": the player data doesn't decode, e.g. a truncated save;
+//   "missing":   there is no checksum to check, e.g. a bare player data stream.
+function verifyChecksum(save) {
+	const checksumIdx = wrapperIndex(save.outer, "checksum");
+	const playerDataIdx = wrapperIndex(save.outer, "playerData");
+	const decoded = !!save.inner && !save.inner.error && !!save.inner.root;
+	if (checksumIdx === -1 || playerDataIdx === -1 || typeof save.outer.root.memberValues[checksumIdx] !== "string") {
+		return { status: decoded ? "missing" : "corrupted", expected: null, actual: null, verified: CHECKSUM_VERIFIED };
+	}
+	const expected = save.outer.root.memberValues[checksumIdx];
+	const actual = computeChecksum(save.outer.root.memberValues[playerDataIdx]);
+	const status = !decoded ? "corrupted" : expected === actual ? "valid" : "tampered";
+	return { status, expected, actual, verified: CHECKSUM_VERIFIED };
+}
+
+// Decodes a save file's text: a base64 stream whose root holds playerData,
+// itself a base64 stream. Takes deserializeGraph() options; int64 values
+// default to exact strings. With options.lenient, check both graphs' error.
+function decodeSave(text, options = {}) {
+	const outer = deserializeGraph(base64ToBytes(text.trim()), options);
+	const playerDataIdx = outer.root && !outer.root.rank ? outer.root.memberNames.indexOf("playerData") : -1;
+	const playerData = playerDataIdx === -1 ? undefined : outer.root.memberValues[playerDataIdx];
+	if (typeof playerData !== "string") {
+		throw outer.error || new DeserializationError("The save has no playerData field.");
+	}
+	const inner = deserializeGraph(base64ToBytes(playerData), options);
+	return {
+		outer,
+		inner
+	};
+}
+
+// The inverse of decodeSave(): re-encodes the inner stream into playerData,
+// updates the checksum to match and returns the text of the whole save.
+function encodeSave(save) {
+	const playerDataIdx = save.outer.root.memberNames.indexOf("playerData");
+	const checksumIdx = save.outer.root.memberNames.indexOf("checksum");
+	save.outer.root.memberValues[playerDataIdx] = bytesToBase64(serialize(save.inner));
+	if (checksumIdx !== -1) {
+		save.outer.root.memberValues[checksumIdx] = computeChecksum(save.outer.root.memberValues[playerDataIdx]);
+	}
+	return bytesToBase64(serialize(save.outer));
+}
+
+const GZIP_MAGIC = [0x1F, 0x8B];
+
+function startsWith(bytes, prefix) {
+	return prefix.every((b, i) => bytes[i] === b);
+}
+
+function isNrbf(bytes) {
+	// Starts with a SerializationHeaderRecord; text and compressed data never start with 0x00.
+	return bytes.length >= 17 && bytes[0] === 0x00;
+}
+
+function isZlib(bytes) {
+	// CMF/FLG: deflate with a 32K window and a header checksum divisible by 31.
+	return bytes.length > 2 && bytes[0] === 0x78 && ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+}
+
+function decodeText(bytes) {
+	// Returns the text and its encoding, or null for binary data.
+	if (startsWith(bytes, [0xEF, 0xBB, 0xBF])) {
+		return { text: decodeUtf8(bytes.subarray(3)), encoding: "UTF-8 with BOM" };
+	}
+	if (startsWith(bytes, [0xFF, 0xFE]) || startsWith(bytes, [0xFE, 0xFF])) {
+		const littleEndian = bytes[0] === 0xFF;
+		let text = "";
+		for (let i = 2; i + 1 < bytes.length; i += 2) {
+			text += String.fromCharCode(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+		}
+		return { text, encoding: littleEndian ? "UTF-16LE" : "UTF-16BE" };
+	}
+	for (const b of bytes) {
+		if (b > 0x7E || (b < 0x20 && b !== 0x09 && b !== 0x0A && b !== 0x0D)) {
+			return null;
+		}
+	}
+	return { text: decodeUtf8(bytes), encoding: null };
+}
+
+async function inflate(bytes, format) {
+	if (typeof DecompressionStream !== "undefined") {
+		try {
+			const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+			return new Uint8Array(await new Response(stream).arrayBuffer());
+		} catch (e) {
+			if (typeof require !== "function") {
+				throw new DeserializationError("Unable to decompress " + format + " data: " + e.message);
+			}
+		}
+	} else if (typeof require !== "function") {
+		throw new DeserializationError("Unable to decompress " + format + " data: this browser has no DecompressionStream.");
+	}
+	const zlib = require("zlib");
+	const method = { "gzip": zlib.gunzipSync, "deflate": zlib.inflateSync, "deflate-raw": zlib.inflateRawSync }[format];
+	try {
+		return new Uint8Array(method(bytes));
+	} catch (e) {
+		throw new DeserializationError("Unable to decompress " + format + " data: " + e.message);
+	}
+}
+
+// Peels text, base64 and compression layers off input until an MS-NRBF stream
+// is left, and pushes a name for each layer onto layers.
+async function unwrapStream(input, layers) {
+	let bytes = typeof input === "string" ? null : toUint8Array(input);
+	let text = typeof input === "string" ? input : null;
+	for (let depth = 0; depth < 8; depth++) {
+		if (text === null) {
+			if (isNrbf(bytes)) {
+				return bytes;
+			}
+			if (startsWith(bytes, GZIP_MAGIC)) {
+				layers.push("gzip");
+				bytes = await inflate(bytes, "gzip");
+				continue;
+			}
+			if (isZlib(bytes)) {
+				layers.push("zlib");
+				bytes = await inflate(bytes, "deflate");
+				continue;
+			}
+			const decoded = decodeText(bytes);
+			if (decoded === null) {
+				// Raw deflate has no header to recognise it by; it's the last thing to try,
+				// and data that doesn't inflate is most likely not a save at all.
+				try {
+					bytes = await inflate(bytes, "deflate-raw");
+				} catch (e) {
+					throw new DeserializationError("Unrecognised save format: the data is not MS-NRBF, text, gzip, zlib or deflate.");
+				}
+				layers.push("deflate");
+				continue;
+			}
+			if (decoded.encoding) {
+				layers.push(decoded.encoding + " text");
+			}
+			text = decoded.text;
+		}
+		// Saves pasted from the export box may be quoted, wrapped or use base64url.
+		const base64 = text.replace(/\s+/g, "").replace(/^"(.*)"$/, "$1").replace(/-/g, "+").replace(/_/g, "/");
+		if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+			throw new DeserializationError("Unrecognised save format: the text is not base64.");
+		}
+		layers.push("base64");
+		bytes = base64ToBytes(base64);
+		text = null;
+	}
+	throw new DeserializationError("Unrecognised save format: too many layers.");
+}
+
+// Options for deserializeGraph() that tell loadSave()'s onProgress which stream is being read.
+function streamOptions(options, stream) {
+	const { onProgress } = options;
+	return onProgress ? { ...options, onProgress: (position, length) => onProgress(position, length, stream) } : options;
+}
+
+// Decodes a save in any of the formats it is found in: the text of a save file
+// or of the in-game export box (with or without a BOM, whitespace or quotes),
+// base64, gzip or deflate compressed copies of either, a raw MS-NRBF stream,
+// or a bare PlayerData stream without the outer wrapper. input is a string of
+// text or the bytes of a file; options are as for decodeSave(). Resolves to
+// { layers, outer, inner, wrapper, playerData, checksum }: layers names each
+// layer peeled off in order, wrapper holds the outer fields other than
+// playerData (null for a bare stream), playerData is the decoded player data
+// and checksum is the result of verifyChecksum(). options.onProgress is called
+// as onProgress(position, length, stream) for each stream read, where stream
+// is "save" for the stream the input holds and "playerData" for the one inside
+// its playerData member; each starts again from 0.
+async function loadSave(input, options = {}) {
+	const layers = [];
+	const graph = deserializeGraph(await unwrapStream(input, layers), streamOptions(options, "save"));
+	layers.push("MS-NRBF");
+	const playerDataIdx = graph.root && !graph.root.rank ? graph.root.memberNames.indexOf("playerData") : -1;
+	if (playerDataIdx === -1 || typeof graph.root.memberValues[playerDataIdx] !== "string") {
+		return {
+			layers,
+			outer: null,
+			inner: graph,
+			wrapper: null,
+			playerData: graph.root ? mapMembers(graph.root) : null,
+			checksum: verifyChecksum({ outer: null, inner: graph })
+		};
+	}
+	layers.push("playerData");
+	const inner = deserializeGraph(await unwrapStream(graph.root.memberValues[playerDataIdx], layers), streamOptions(options, "playerData"));
+	layers.push("MS-NRBF");
+	const wrapper = mapMembers(graph.root);
+	delete wrapper.playerData;
+	return {
+		layers,
+		outer: graph,
+		inner,
+		wrapper,
+		playerData: inner.root ? mapMembers(inner.root) : null,
+		checksum: verifyChecksum({ outer: graph, inner })
+	};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		DeserializationError,
+		UnknownRecordError,
+		EndOfBufferError,
+		deserialize,
+		deserializeGraph,
+		deserializeAst,
+		buildAst,
+		mapMembers,
+		applyMembers,
+		reshape,
+		serialize,
+		decodeSave,
+		encodeSave,
+		loadSave,
+		verifyChecksum,
+		base64ToBytes,
+		bytesToBase64
+	};
+}
@@ -0,0 +1,217 @@
+"use strict";
+
+const loaded = {
+	base: null,
+	compare: null,
+	// The base save from decodeInWorker(), and its NGU view once shown.
+	baseSave: null,
+	schema: null,
+	schemaRequested: false
+};
+// One AbortController per save being decoded, for the progress bar and the cancel button.
+const decoding = new Set();
+const tree = treeView(document.getElementById('tree'));
+let jsonShown = null;
+let treeShown = null;
+
+function showError(file, error, partial) {
+	const message = document.createElement('div');
+	message.textContent = file.name + ": " + error.message + (partial ? " Showing what was decoded before the error." : "");
+	document.getElementById('errors').appendChild(message);
+}
+
+const CHECKSUM_LABELS = {
+	valid: "checksum valid",
+	tampered: "checksum mismatch: tampered",
+	corrupted: "corrupted",
+	missing: "no checksum"
+};
+const CHECKSUM_UNVERIFIED_NOTE = "The checksum is worked out the way the game is thought to, which hasn't been checked against saves from the game.";
+
+function showStatus(file, save) {
+	// Which layers were peeled off, and the wrapper fields that sit next to playerData.
+	const status = document.createElement('div');
+	const fields = Object.entries(save.wrapper || {}).map(([k, v]) => k + ": " + JSON.stringify(v));
+	status.textContent = file.name + ": " + save.layers.join(" → ") + (fields.length ? " · " + fields.join(", ") : "") + " · ";
+	const checksum = document.createElement('span');
+	checksum.className = "checksum-" + save.checksum.status;
+	checksum.textContent = CHECKSUM_LABELS[save.checksum.status];
+	if (!save.checksum.verified && (save.checksum.status === "valid" || save.checksum.status === "tampered")) {
+		checksum.className += " checksum-unverified";
+		checksum.textContent += " (unverified)";
+		checksum.title = CHECKSUM_UNVERIFIED_NOTE;
+	}
+	status.appendChild(checksum);
+	document.getElementById('status').appendChild(status);
+}
+
+const PROGRESS_LABELS = {
+	save: "Reading save…",
+	playerData: "Reading player data…"
+};
+
+// The bar starts again for the playerData stream, so the label says which stream it is for.
+function showProgress(position, length, stream) {
+	const progress = document.getElementById('progress');
+	progress.max = length;
+	progress.value = position;
+	document.getElementById('progressLabel').textContent = PROGRESS_LABELS[stream];
+}
+
+function updateDecoding() {
+	document.getElementById('progressLabel').hidden = !decoding.size;
+	document.getElementById('progress').hidden = !decoding.size;
+	document.getElementById('cancel').hidden = !decoding.size;
+}
+
+function readSave(file, callback) {
+	const reader = new FileReader();
+	const controller = new AbortController();
+	function finish() {
+		decoding.delete(controller);
+		updateDecoding();
+	}
+	decoding.add(controller);
+	// Indeterminate until the worker reports how far it has read.
+	document.getElementById('progress').removeAttribute('value');
+	document.getElementById('progressLabel').textContent = "";
+	updateDecoding();
+	reader.onload = function (e) {
+		decodeInWorker(e.target.result, {
+			lenient: true,
+			onProgress: showProgress,
+			signal: controller.signal
+		}).then(function (save) {
+			finish();
+			showStatus(file, save);
+			if (save.error) {
+				showError(file, save.error, !!save.playerData);
+			}
+			if (save.playerData) {
+				callback(save.playerData, save);
+			} else {
+				save.close();
+			}
+		}, function (err) {
+			finish();
+			showError(file, err, false);
+		});
+	};
+	reader.onerror = function () {
+		finish();
+		showError(file, reader.error, false);
+	};
+	reader.readAsArrayBuffer(file);
+}
+
+function requestSchema(save) {
+	loaded.schemaRequested = true;
+	save.ngu().then(function (view) {
+		if (loaded.baseSave === save) {
+			loaded.schema = view;
+			render();
+		}
+	}, function (err) {
+		showError({ name: "NGU view" }, err, false);
+	});
+}
+
+function clearMessages() {
+	document.getElementById('status').replaceChildren();
+	document.getElementById('errors').replaceChildren();
+}
+
+function formatDiffValue(value) {
+	if (value === undefined) {
+		return "";
+	}
+	const text = JSON.stringify(value);
+	return text.length > 200 ? text.slice(0, 200) + "…" : text;
+}
+
+function renderDiff(changes) {
+	const table = document.createElement('table');
+	const header = table.insertRow();
+	for (const title of ["Path", "Change", "Before", "After", "Delta", "Ratio"]) {
+		const th = document.createElement('th');
+		th.textContent = title;
+		header.appendChild(th);
+	}
+	for (const change of changes) {
+		const row = table.insertRow();
+		const delta = change.delta === undefined ? "" : (String(change.delta).startsWith("-") ? "" : "+") + change.delta;
+		const ratio = change.ratio === undefined || change.ratio === null ? "" : "×" + change.ratio.toPrecision(4);
+		for (const text of [change.path, change.type, formatDiffValue(change.before), formatDiffValue(change.after), delta, ratio]) {
+			row.insertCell().textContent = text;
+		}
+	}
+	return table;
+}
+
+function render() {
+	const textArea = document.getElementById('output');
+	const diff = document.getElementById('diff');
+	const mode = loaded.base && loaded.compare ? "diff" : document.getElementById('view').value;
+	diff.style.display = mode === "diff" ? "" : "none";
+	document.getElementById('tree').style.display = mode === "tree" || mode === "ngu" ? "" : "none";
+	textArea.style.display = mode === "json" ? "" : "none";
+	if (mode === "diff") {
+		const changes = diffTrees(loaded.base, loaded.compare, {
+			ignoreTimestamps: document.getElementById('hideTimestamps').checked
+		});
+		diff.replaceChildren(renderDiff(changes));
+	} else if (mode === "json" && jsonShown !== loaded.base) {
+		// Stringifying a late-game save is slow; only do it when the JSON view is shown.
+		textArea.value = loaded.base ? JSON.stringify(loaded.base, null, 2) : "";
+		jsonShown = loaded.base;
+	} else if (mode === "tree" || mode === "ngu") {
+		if (mode === "ngu" && loaded.baseSave && !loaded.schemaRequested) {
+			requestSchema(loaded.baseSave);
+		}
+		const data = mode === "ngu" ? loaded.schema : loaded.base;
+		if (treeShown !== data) {
+			tree.setData(data);
+			treeShown = data;
+		}
+	}
+}
+
+function handleFileSelect(evt) {
+	clearMessages();
+	for (const f of evt.target.files) {
+		readSave(f, function (data, save) {
+			if (loaded.baseSave) {
+				loaded.baseSave.close();
+			}
+			loaded.base = data;
+			loaded.baseSave = save;
+			loaded.schema = null;
+			loaded.schemaRequested = false;
+			render();
+		});
+	}
+}
+
+function handleCompareSelect(evt) {
+	clearMessages();
+	loaded.compare = null;
+	for (const f of evt.target.files) {
+		readSave(f, function (data, save) {
+			save.close();
+			loaded.compare = data;
+			render();
+		});
+	}
+	render();
+}
+
+document.getElementById('files').addEventListener('change', handleFileSelect, false);
+document.getElementById('compare').addEventListener('change', handleCompareSelect, false);
+document.getElementById('hideTimestamps').addEventListener('change', render, false);
+document.getElementById('view').addEventListener('change', render, false);
+document.getElementById('cancel').addEventListener('click', function () {
+	for (const controller of decoding) {
+		controller.abort();
+	}
+}, false);
+render();
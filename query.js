@@ -0,0 +1,226 @@
+"use strict";
+
+const FILTER_PATTERN = /^@((?:\.[^.[\]\s=!<>]+|\[\d+\])*)\s*(?:(==|!=|<=|>=|<|>)\s*(.+?))?\s*$/;
+const ARRAY_MODES = ["index", "json", "count", "skip"];
+// Keys formatPath() writes after a dot rather than quoted in brackets.
+const IDENTIFIER_PATTERN = /^[A-Za-z_][\w$]*$/;
+
+// Parses a filter such as "@.level >= 10", "@.name == 'Bob'" or "@.active"
+// (the member is there) into { path, op, value }.
+function parseFilter(expression) {
+	const match = FILTER_PATTERN.exec(expression.trim());
+	if (!match) {
+		throw new Error("Unable to parse filter \"" + expression + "\".");
+	}
+	const filter = { path: parsePath(match[1]), op: match[2] || null, value: undefined };
+	if (filter.op) {
+		const literal = match[3];
+		if (/^'.*'$/.test(literal)) {
+			filter.value = literal.slice(1, -1);
+		} else {
+			try {
+				filter.value = JSON.parse(literal);
+			} catch (e) {
+				throw new Error("Unable to parse value " + literal + " in filter \"" + expression + "\".");
+			}
+		}
+	}
+	return filter;
+}
+
+// Splits a JSONPath-style path into keys: "$.a.b[0]['c d'].*" gives
+// ["a", "b", "0", "c d", "*"]. The leading "$" is optional. A filter,
+// "[?(@.level > 10)]", gives { filter } with the parseFilter() result, and so
+// does an item picked by one of its members, "[id=37]", as formatPath() writes it.
+function parsePath(path) {
+	const keys = [];
+	const pattern = /\.?([^.[\]]+)|\[(\*|\d+)\]|\['(.*?)'\]|\[("(?:[^"\\]|\\.)*")\]|\[([^=[\]'"?]+)=("(?:[^"\\]|\\.)*"|[^\]]*)\]|\[\?\((.*?)\)\]/g;
+	let match;
+	let rest = path.replace(/^\$/, "");
+	while (rest.length) {
+		pattern.lastIndex = 0;
+		match = pattern.exec(rest);
+		if (!match || match.index !== 0) {
+			throw new Error("Unable to parse path at \"" + rest + "\".");
+		}
+		if (match[7] !== undefined) {
+			keys.push({ filter: parseFilter(match[7]) });
+		} else if (match[5] !== undefined) {
+			keys.push({ filter: { path: [match[5]], op: "==", value: parseKeyValue(match[6]) } });
+		} else if (match[4] !== undefined) {
+			keys.push(JSON.parse(match[4]));
+		} else {
+			keys.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+		}
+		rest = rest.slice(match[0].length);
+	}
+	return keys;
+}
+
+function parseKeyValue(text) {
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		// A bare word, as in "[name=Bob]".
+		return text;
+	}
+}
+
+function compareValues(value, op, literal) {
+	if (value !== null && typeof value === "object" && typeof value.iso === "string") {
+		// DateTimes compare by their ISO text.
+		value = value.iso;
+	}
+	if (typeof literal === "number" && typeof value === "string" && value.trim() !== "" && !isNaN(value)) {
+		// int64 values decoded as strings.
+		value = Number(value);
+	}
+	switch (op) {
+		case "==": return value === literal;
+		case "!=": return value !== literal;
+		case "<": return value < literal;
+		case "<=": return value <= literal;
+		case ">": return value > literal;
+		case ">=": return value >= literal;
+	}
+}
+
+// Whether key is one of value's own members or indexes, not something inherited
+// such as "toString" or an array's "length".
+function hasMember(value, key) {
+	if (Array.isArray(value)) {
+		return /^\d+$/.test(key) && Number(key) < value.length;
+	}
+	return Object.prototype.hasOwnProperty.call(value, key);
+}
+
+function matchesFilter(value, filter) {
+	for (const key of filter.path) {
+		if (value === null || typeof value !== "object" || !hasMember(value, key)) {
+			return false;
+		}
+		value = value[key];
+	}
+	return filter.op === null || compareValues(value, filter.op, filter.value);
+}
+
+// Returns every { path, value } in tree matched by path; "*" matches any key
+// or index and a filter any whose value passes it. Array indexes in the
+// returned paths are numbers.
+function select(tree, path) {
+	let matches = [{ path: [], value: tree }];
+	for (const key of parsePath(path)) {
+		const next = [];
+		for (const match of matches) {
+			const value = match.value;
+			if (value === null || typeof value !== "object") {
+				continue;
+			}
+			let keys = key === "*" || key.filter ? Object.keys(value) : hasMember(value, key) ? [key] : [];
+			if (key.filter) {
+				keys = keys.filter(k => matchesFilter(value[k], key.filter));
+			}
+			for (const k of keys) {
+				next.push({ path: match.path.concat(Array.isArray(value) ? Number(k) : k), value: value[k] });
+			}
+		}
+		matches = next;
+	}
+	return matches;
+}
+
+function bigIntToString(key, value) {
+	return typeof value === "bigint" ? String(value) : value;
+}
+
+// Formats keys as a path that parsePath() reads back, the one form paths take
+// in exports, diffs and the page: ["a", "b c", 0, "d"] gives 'a["b c"][0].d',
+// and { key, value } gives an array item picked by one of its members, as in
+// "inventory[id=37]". No keys give "".
+function formatPath(keys) {
+	return keys.map((key, i) => {
+		if (typeof key === "number") {
+			return "[" + key + "]";
+		}
+		if (key !== null && typeof key === "object") {
+			return "[" + key.key + "=" + JSON.stringify(key.value, bigIntToString) + "]";
+		}
+		return IDENTIFIER_PATTERN.test(key) ? (i ? "." : "") + key : "[" + JSON.stringify(key) + "]";
+	}).join("");
+}
+
+function flattenInto(flat, keys, value, arrays) {
+	value = bigIntToString(null, value);
+	if (value === null || typeof value !== "object") {
+		flat[formatPath(keys)] = value;
+	} else if (typeof value.iso === "string" && "kind" in value) {
+		// A DateTime, as its ISO text.
+		flat[formatPath(keys)] = value.iso;
+	} else if (Array.isArray(value) && arrays !== "index") {
+		if (arrays === "json") {
+			flat[formatPath(keys)] = JSON.stringify(value, bigIntToString);
+		} else if (arrays === "count") {
+			flat[formatPath(keys)] = value.length;
+		}
+	} else if (Array.isArray(value)) {
+		value.forEach((item, i) => flattenInto(flat, keys.concat(i), item, arrays));
+	} else {
+		for (const [k, v] of Object.entries(value)) {
+			flattenInto(flat, keys.concat(k), v, arrays);
+		}
+	}
+}
+
+// Flattens a decoded tree into { path: value } for spreadsheets and plotting,
+// with paths as formatPath() writes them, such as "inventory.head.id" or
+// "wishes[3].level". DateTimes become their ISO text and BigInts strings.
+// options.arrays: "index" (default) gives each item its own path, "json" keeps
+// an array whole as JSON text, "count" keeps only its length and "skip" drops it.
+// options.select: paths as for select(); only the values they match are kept.
+function flatten(tree, options = {}) {
+	const arrays = options.arrays || "index";
+	if (!ARRAY_MODES.includes(arrays)) {
+		throw new Error("Unknown array mode \"" + arrays + "\"; use one of " + ARRAY_MODES.join(", ") + ".");
+	}
+	const flat = {};
+	const matches = options.select ? options.select.flatMap(path => select(tree, path)) : [{ path: [], value: tree }];
+	for (const match of matches) {
+		flattenInto(flat, match.path, match.value, arrays);
+	}
+	return flat;
+}
+
+function csvField(value) {
+	if (value === null || value === undefined) {
+		return "";
+	}
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+// Writes rows of flatten() output as CSV, one column for each path in any row
+// in the order they are first seen. A row without a path leaves its cell empty.
+function toCsv(rows) {
+	const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+	const lines = [columns.map(csvField).join(",")];
+	for (const row of rows) {
+		lines.push(columns.map(column => csvField(row[column])).join(","));
+	}
+	return lines.join("\r\n") + "\r\n";
+}
+
+// Writes rows of flatten() output as newline-delimited JSON, one row per line.
+function toNdjson(rows) {
+	return rows.map(row => JSON.stringify(row, bigIntToString) + "\n").join("");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		parsePath,
+		select,
+		formatPath,
+		flatten,
+		toCsv,
+		toNdjson
+	};
+}
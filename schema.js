@@ -0,0 +1,320 @@
+"use strict";
+
+// index.js, for reshape(); in the page and the worker it is loaded first.
+const decoderCore = typeof module !== "undefined" && module.exports ? require("./index.js") : globalThis;
+
+// What is known about NGU's PlayerData class family, keyed by class name.
+// Everything here was put together by hand from the game as played, not from
+// its code, so names and orders may be wrong or behind the current version;
+// applySchema() warns about members it doesn't know so gaps show up. Bump the
+// version when a change would label an existing save differently.
+//   enums:   enum type name -> { value: name }
+//   tables:  name -> labels for an index array, or { id: name } for ids; either
+//            kind can label an array or name an id, and missing entries are
+//            listed in the warnings
+//   classes: class name -> { members: { name: spec } }, where spec.labels
+//            keys an array by a table and spec.names names an id by one
+//   derived: name -> function of the labelled data
+const nguSchema = {
+	version: 2,
+	enums: {
+		difficulty: { 0: "Normal", 1: "Evil", 2: "Sadistic" }
+	},
+	tables: {
+		diggers: [
+			"Drop Chance", "Wandoos", "Stat", "Adventure", "Energy NGU", "Magic NGU",
+			"Energy Beard", "Magic Beard", "PP", "Daycare", "Blood", "Exp"
+		],
+		beards: [
+			"The Fu Manchu", "The Neckbeard", "The Chinstrap", "The Handlebar", "The Van Dyke",
+			"The Reverse Hitler", "The Beardiest Beard"
+		],
+		energyNgus: [
+			"Augments", "Wandoos", "Respawn", "Gold", "Adventure α", "Power α", "Drop Chance",
+			"Magic NGU", "PP"
+		],
+		magicNgus: ["Yggdrasil", "Exp", "Power β", "Number", "Time Machine", "Energy NGU", "Adventure β"],
+		zones: {
+			"-1": "Safe Zone", 0: "Tutorial Zone", 1: "Sewers", 2: "Forest", 3: "Cave of Many Things",
+			4: "The Sky", 5: "High Security Base", 6: "Gordon Ramsay Bolton", 7: "Clock Dimension",
+			8: "Grand Corrupted Tree", 9: "The 2D Universe", 10: "Ancient Battlefield",
+			11: "Jake From Accounting", 12: "A Very Strange Place", 13: "Mega Lands",
+			14: "UUG THE UNMENTIONABLE", 15: "The Beardverse", 16: "WALDERP", 17: "Badly Drawn World",
+			18: "Boring-Ass Earth", 19: "THE BEAST", 20: "Chocolate World", 21: "The Evilverse",
+			22: "Pretty Pink Princess Land", 23: "GREASY NERD", 24: "Meta Land",
+			25: "Interdimensional Party", 26: "THE GODMOTHER", 27: "Typo Zonw", 28: "The Fad-Lands",
+			29: "JRPGVille", 30: "THE EXILE", 31: "The Rad-lands", 32: "Back To School",
+			33: "The West World", 34: "IT HUNGERS", 35: "The Breadverse", 36: "That 70's Zone",
+			37: "The Halloweenies", 38: "ROCK LOBSTER", 39: "Construction Zone", 40: "DUCK DUCK ZONE",
+			41: "The Nether Regions", 42: "AMALGAMATE"
+		}
+	},
+	classes: {
+		PlayerData: {
+			members: {
+				energyPower: {},
+				energyCap: {},
+				energyBars: {},
+				curEnergy: {},
+				idleEnergy: {},
+				magic: {},
+				totalPlaytime: {},
+				rebirthTime: {},
+				settings: {},
+				inventory: {},
+				adventure: {},
+				diggers: {},
+				beards: {},
+				NGU: {},
+				wishes: {}
+			}
+		},
+		Magic: {
+			members: {
+				magicPower: {},
+				capMagic: {},
+				magicPerBar: {},
+				curMagic: {},
+				idleMagic: {}
+			}
+		},
+		Playtime: {
+			members: {
+				totalseconds: {}
+			}
+		},
+		Inventory: {
+			members: {
+				head: {},
+				chest: {},
+				legs: {},
+				boots: {},
+				weapon: {},
+				accs: {},
+				inventory: {}
+			}
+		},
+		Equipment: {
+			members: {
+				// No table of item names yet; ids stay numbers.
+				id: {}
+			}
+		},
+		Adventure: {
+			members: {
+				zone: { names: "zones" },
+				highestZone: { names: "zones" }
+			}
+		},
+		Wishes: {
+			members: {
+				// No table of wish names yet; wishes stay an array.
+				wishes: {}
+			}
+		},
+		Diggers: {
+			members: {
+				diggers: { labels: "diggers" }
+			}
+		},
+		Beards: {
+			members: {
+				beards: { labels: "beards" }
+			}
+		},
+		NGU: {
+			members: {
+				skills: { labels: "energyNgus" },
+				magicSkills: { labels: "magicNgus" }
+			}
+		}
+	},
+	derived: {
+		// Base values, before gear, perks and the other multipliers the game applies.
+		energy(data) {
+			return {
+				power: numberAt(data, "energyPower"),
+				cap: numberAt(data, "energyCap"),
+				bars: numberAt(data, "energyBars")
+			};
+		},
+		magic(data) {
+			return {
+				power: numberAt(data, "magic.magicPower"),
+				cap: numberAt(data, "magic.capMagic"),
+				bars: numberAt(data, "magic.magicPerBar")
+			};
+		},
+		playtime(data) {
+			return {
+				total: durationParts(numberAt(data, "totalPlaytime.totalseconds")),
+				rebirth: durationParts(numberAt(data, "rebirthTime.totalseconds"))
+			};
+		}
+	}
+};
+
+function numberAt(data, path) {
+	let value = data;
+	for (const key of path.split(".")) {
+		if (value === null || typeof value !== "object") {
+			return null;
+		}
+		value = value[key];
+	}
+	const number = Number(value);
+	return value === null || value === undefined || value === "" || isNaN(number) ? null : number;
+}
+
+// Splits a number of seconds into days, hours, minutes and seconds, with text
+// such as "3d 04:05:06".
+function durationParts(totalSeconds) {
+	if (totalSeconds === null) {
+		return null;
+	}
+	const whole = Math.floor(totalSeconds);
+	const parts = {
+		seconds: totalSeconds,
+		days: Math.floor(whole / 86400),
+		hours: Math.floor(whole / 3600) % 24,
+		minutes: Math.floor(whole / 60) % 60
+	};
+	const pad = n => String(n).padStart(2, "0");
+	parts.text = parts.days + "d " + pad(parts.hours) + ":" + pad(parts.minutes) + ":" + pad(whole % 60);
+	return parts;
+}
+
+const AST_KINDS = new Set(["class", "enum", "list", "array", "boxed"]);
+
+// "Namespace.Outer+Inner" -> "Inner"; generic arguments are dropped.
+function shortTypeName(typeName) {
+	return typeName.replace(/\[.*$/, "").split(/[.+]/).pop();
+}
+
+// Projects an AST from buildAst() into the same JSON as mapMembers(), but
+// with enums named, index arrays keyed by label, ids named as { id, name } and
+// lists cut to their size. Returns { schemaVersion, data, derived, warnings },
+// where warnings lists the members, classes and enum values the schema
+// doesn't know.
+function applySchema(ast, schema = nguSchema) {
+	const unknownMembers = new Map();
+	const unknownClasses = new Set();
+	const unnamedValues = new Map();
+
+	function note(map, key, value) {
+		if (!map.has(key)) {
+			map.set(key, new Set());
+		}
+		map.get(key).add(value);
+	}
+
+	function nameId(value, spec) {
+		const names = spec.names && schema.tables[spec.names];
+		if (!names || typeof value !== "number") {
+			return value;
+		}
+		if (!(value in names)) {
+			note(unnamedValues, spec.names, value);
+			return value;
+		}
+		return { id: value, name: names[value] };
+	}
+
+	function label(items, spec) {
+		const labels = spec.labels && schema.tables[spec.labels];
+		if (!labels) {
+			return items;
+		}
+		const labelled = {};
+		items.forEach((item, i) => {
+			if (labels[i] === undefined) {
+				note(unnamedValues, spec.labels, i);
+				// Keys that look like indexes would be sorted first, so unlabelled ones get a "#".
+				labelled["#" + i] = item;
+			} else {
+				labelled[labels[i]] = item;
+			}
+		});
+		return labelled;
+	}
+
+	function project(node, spec, ancestors) {
+		if (!node || typeof node !== "object" || !AST_KINDS.has(node.kind)) {
+			// A plain value or a DateTime or TimeSpan; a DateTime's kind is not a node kind.
+			return nameId(node, spec);
+		}
+		if (node.kind === "boxed") {
+			return nameId(node.value, spec);
+		}
+		if (ancestors.has(node)) {
+			return { ref: node.id };
+		}
+		ancestors.add(node);
+		const result = projectRecord(node, spec, ancestors);
+		ancestors.delete(node);
+		return result;
+	}
+
+	function projectRecord(node, spec, ancestors) {
+		const typeName = node.typeName && shortTypeName(node.typeName);
+		switch (node.kind) {
+			case "enum": {
+				const names = schema.enums[typeName];
+				if (names && node.value in names) {
+					return names[node.value];
+				}
+				if (names) {
+					note(unnamedValues, typeName, node.value);
+				}
+				return node.value;
+			}
+			case "list": {
+				const items = node.items ? node.items.items : [];
+				const size = typeof node.size === "number" ? node.size : items.length;
+				return label(items.slice(0, size).map(item => project(item, {}, ancestors)), spec);
+			}
+			case "array":
+				return label(decoderCore.reshape(node.items.map(item => project(item, {}, ancestors)), node.lengths), spec);
+		}
+
+		const classSpec = schema.classes[typeName];
+		if (!classSpec && node.library !== null) {
+			// System classes (dictionaries, hash sets) aren't the schema's business.
+			unknownClasses.add(typeName);
+		}
+		const data = {};
+		for (const [name, member] of Object.entries(node.members)) {
+			const memberSpec = classSpec && classSpec.members[name];
+			if (classSpec && !memberSpec) {
+				note(unknownMembers, typeName, name);
+			}
+			data[name] = project(member.value, memberSpec || {}, ancestors);
+		}
+		return data;
+	}
+
+	const data = ast.root ? project(ast.root, {}, new Set()) : null;
+	const derived = {};
+	for (const [name, derive] of Object.entries(schema.derived)) {
+		derived[name] = data ? derive(data) : null;
+	}
+
+	const warnings = [];
+	for (const [typeName, names] of unknownMembers) {
+		warnings.push(typeName + " has members schema " + schema.version + " doesn't know: " + [...names].join(", ") + ".");
+	}
+	if (unknownClasses.size) {
+		warnings.push("Classes schema " + schema.version + " doesn't know: " + [...unknownClasses].join(", ") + ".");
+	}
+	for (const [name, values] of unnamedValues) {
+		warnings.push(name + " has no names for " + [...values].join(", ") + ".");
+	}
+	return { schemaVersion: schema.version, data, derived, warnings };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		nguSchema,
+		applySchema
+	};
+}
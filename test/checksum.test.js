@@ -0,0 +1,21 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decodeSave, verifyChecksum } = require("../index.js");
+const { primitiveStream, saveText } = require("./helpers/nrbf.js");
+
+test("a save with a matching checksum is valid", () => {
+	const checksum = verifyChecksum(decodeSave(saveText(primitiveStream(8, b => b.i32(7)))));
+	assert.equal(checksum.status, "valid");
+	// The scheme saveText() uses is the same assumption; no save from the game confirms it.
+	assert.equal(checksum.verified, false);
+});
+
+test("a save whose playerData no longer matches its checksum is tampered", () => {
+	const save = decodeSave(saveText(primitiveStream(8, b => b.i32(7))));
+	const other = decodeSave(saveText(primitiveStream(8, b => b.i32(9))));
+	const playerDataIdx = save.outer.root.memberNames.indexOf("playerData");
+	save.outer.root.memberValues[playerDataIdx] = other.outer.root.memberValues[playerDataIdx];
+	assert.equal(verifyChecksum(save).status, "tampered");
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const { StreamBuilder, saveText } = require("./helpers/nrbf.js");
+
+const CLI = path.join(__dirname, "..", "bin", "ngu-decode.js");
+
+// A save whose player data has a member named file, as a save's own paths may.
+function fileMemberSave(level) {
+	return saveText(new StreamBuilder()
+		.header()
+		.library(2, "Fixtures")
+		.u8(0x05).i32(1).string("Fixture").i32(2).string("file").string("level")
+		.u8(1, 0).u8(8)
+		.i32(2)
+		.u8(0x06).i32(3).string("inside the save")
+		.i32(level)
+		.end()
+		.toBytes());
+}
+
+function run(...args) {
+	const result = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 60000 });
+	assert.equal(result.status, 0, result.stderr);
+	return result.stdout;
+}
+
+test("--csv and --ndjson keep the file name apart from the save's paths", t => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ngu-decode-"));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	fs.writeFileSync(path.join(dir, "a.txt"), fileMemberSave(1));
+	fs.writeFileSync(path.join(dir, "b.txt"), fileMemberSave(2));
+
+	const lines = run("--csv", dir).trim().split("\r\n");
+	assert.deepEqual(lines, [
+		"(file),file,level",
+		path.join(dir, "a.txt") + ",inside the save,1",
+		path.join(dir, "b.txt") + ",inside the save,2"
+	]);
+
+	const rows = run("--ndjson", dir).trim().split("\n").map(line => JSON.parse(line));
+	assert.deepEqual(rows[1], { "(file)": path.join(dir, "b.txt"), file: "inside the save", level: 2 });
+});
+
+test("--verbose marks the checksum status unverified", t => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ngu-decode-"));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const file = path.join(dir, "a.txt");
+	fs.writeFileSync(file, fileMemberSave(1));
+	const result = spawnSync(process.execPath, [CLI, "--verbose", file], { encoding: "utf8", timeout: 60000 });
+	assert.equal(result.status, 0, result.stderr);
+	assert.match(result.stderr, /\(checksum valid, unverified\)/);
+});
+
+test("a file that fails to decode is reported and the rest are still exported", t => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ngu-decode-"));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	fs.writeFileSync(path.join(dir, "a.txt"), fileMemberSave(1));
+	fs.writeFileSync(path.join(dir, "notes.txt"), "not a save!");
+	fs.writeFileSync(path.join(dir, "z.txt"), fileMemberSave(2));
+	const result = spawnSync(process.execPath, [CLI, "--ndjson", dir], { encoding: "utf8", timeout: 60000 });
+	assert.equal(result.status, 1);
+	assert.deepEqual(result.stdout.trim().split("\n").map(line => JSON.parse(line).level), [1, 2]);
+	assert.match(result.stderr, /notes\.txt: Unrecognised save format/);
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffTrees } = require("../diff.js");
+
+function dateTime(iso) {
+	return { iso, kind: "Utc", ms: Date.parse(iso) };
+}
+
+test("changed numbers get a delta and a ratio", () => {
+	assert.deepEqual(diffTrees({ gold: 40, level: 0 }, { gold: 100, level: 3 }), [
+		{ path: "gold", type: "changed", before: 40, after: 100, delta: 60, ratio: 2.5 },
+		{ path: "level", type: "changed", before: 0, after: 3, delta: 3, ratio: null }
+	]);
+});
+
+test("int64 strings get a delta exact past 2^53", () => {
+	const [change] = diffTrees({ exp: "9007199254740993" }, { exp: "9007199254740995" });
+	assert.equal(change.delta, "2");
+	// The ratio is a number, so only as close as doubles get.
+	assert.ok(Math.abs(change.ratio - 1) < 1e-12);
+	const [down] = diffTrees({ exp: "10" }, { exp: "-5" });
+	assert.equal(down.delta, "-15");
+	assert.equal(down.ratio, -0.5);
+});
+
+test("strings other than integers get no delta", () => {
+	assert.deepEqual(diffTrees({ name: "a" }, { name: "b" }), [
+		{ path: "name", type: "changed", before: "a", after: "b" }
+	]);
+});
+
+test("DateTimes compare by value and get a delta in ms", () => {
+	const before = dateTime("2024-01-01T00:00:00.000Z");
+	const after = dateTime("2024-01-01T00:01:00.000Z");
+	assert.deepEqual(diffTrees({ lastTime: before }, { lastTime: after }), [
+		{ path: "lastTime", type: "changed", before, after, delta: 60000, ratio: null }
+	]);
+	assert.deepEqual(diffTrees({ lastTime: before }, { lastTime: dateTime(before.iso) }), []);
+});
+
+test("array items are matched by arrayKeys whatever their order", () => {
+	const before = { inventory: [{ id: 1, level: 2 }, { id: 2, level: 5 }, { id: 3, level: 1 }] };
+	const after = { inventory: [{ id: 2, level: 6 }, { id: 1, level: 2 }, { id: 4, level: 1 }] };
+	assert.deepEqual(diffTrees(before, after).map(change => [change.path, change.type]), [
+		["inventory[id=2].level", "changed"],
+		["inventory[id=3]", "removed"],
+		["inventory[id=4]", "added"]
+	]);
+});
+
+test("arrayKeys are tried in order", () => {
+	const before = { wishes: [{ id: 0, slot: 7, level: 1 }, { id: 0, slot: 8, level: 1 }] };
+	const after = { wishes: [{ id: 0, slot: 8, level: 2 }, { id: 0, slot: 7, level: 1 }] };
+	assert.deepEqual(diffTrees(before, after, { arrayKeys: ["id", "slot"] }).map(change => change.path), ["wishes[slot=8].level"]);
+});
+
+test("arrays no key identifies are compared by index", () => {
+	// Duplicate ids, a missing id and plain numbers each fall back to the index.
+	for (const [before, after, paths] of [
+		[[{ id: 1, n: 1 }, { id: 1, n: 2 }], [{ id: 1, n: 1 }, { id: 1, n: 3 }], ["list[1].n"]],
+		[[{ id: 1, n: 1 }, { n: 2 }], [{ id: 1, n: 1 }, { n: 3 }], ["list[1].n"]],
+		[[1, 2], [1, 2, 3], ["list[2]"]]
+	]) {
+		assert.deepEqual(diffTrees({ list: before }, { list: after }).map(change => change.path), paths);
+	}
+});
+
+test("ignore leaves out the paths its patterns match and everything under them", () => {
+	const before = { stats: { lastTime: 1, gold: 1 }, beards: [{ timestamp: 1, level: 1 }], log: { a: { b: 1 } } };
+	const after = { stats: { lastTime: 2, gold: 2 }, beards: [{ timestamp: 2, level: 2 }], log: { a: { b: 2 } } };
+	const paths = options => diffTrees(before, after, options).map(change => change.path);
+	assert.deepEqual(paths({ ignore: ["stats.lastTime", "beards[*].timestamp", "log"] }), ["stats.gold", "beards[0].level"]);
+	assert.deepEqual(paths({ ignore: ["**.level", "*.gold"] }), ["stats.lastTime", "beards[0].timestamp", "log.a.b"]);
+	// A pattern doesn't match a key it is only the start of.
+	assert.deepEqual(paths({ ignore: ["stats.last"] }), ["stats.lastTime", "stats.gold", "beards[0].timestamp", "beards[0].level", "log.a.b"]);
+});
+
+test("ignoreTimestamps leaves out DateTimes, added and removed ones too", () => {
+	const before = { lastTime: dateTime("2024-01-01T00:00:00.000Z"), gold: 1 };
+	const after = { lastTime: dateTime("2024-02-01T00:00:00.000Z"), gold: 2, started: dateTime("2024-01-15T00:00:00.000Z") };
+	assert.deepEqual(diffTrees(before, after, { ignoreTimestamps: true }).map(change => change.path), ["gold"]);
+	assert.deepEqual(diffTrees(before, after).map(change => change.path), ["lastTime", "gold", "started"]);
+});
@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserialize, deserializeGraph, mapMembers, applyMembers, serialize } = require("../index.js");
+const { StreamBuilder } = require("./helpers/nrbf.js");
+
+// Root { list: Item[1], numbers: int[3], names: string[2], items: List<Item> of 2 }
+// with Item { n: int }.
+function rootStream() {
+	return new StreamBuilder()
+		.header()
+		.library(2, "Fixtures")
+		.u8(0x05).i32(1).string("Root").i32(4).string("list").string("numbers").string("names").string("items")
+		.u8(2, 7, 6, 2).u8(8)
+		.i32(2)
+		.u8(0x09).i32(3)
+		.u8(0x09).i32(4)
+		.u8(0x09).i32(5)
+		.u8(0x09).i32(6)
+		.u8(0x07).i32(3).u8(0).i32(1).i32(1).u8(4).string("Item").i32(2)
+		.u8(0x09).i32(7)
+		.u8(0x0F).i32(4).i32(3).u8(8).i32(1).i32(2).i32(3)
+		.u8(0x11).i32(5).i32(2)
+		.u8(0x06).i32(8).string("a")
+		.u8(0x06).i32(9).string("b")
+		.u8(0x04).i32(6).string("System.Collections.Generic.List`1[[Item, Fixtures]]").i32(3)
+		.string("_items").string("_size").string("_version")
+		.u8(2, 0, 0).u8(8, 8)
+		.u8(0x09).i32(10)
+		.i32(2).i32(0)
+		.u8(0x05).i32(7).string("Item").i32(1).string("n").u8(0).u8(8).i32(2).i32(5)
+		.u8(0x07).i32(10).u8(0).i32(1).i32(2).u8(4).string("Item").i32(2)
+		.u8(0x09).i32(11)
+		.u8(0x09).i32(12)
+		.u8(0x01).i32(11).i32(7).i32(10)
+		.u8(0x01).i32(12).i32(7).i32(20)
+		.end()
+		.toBytes();
+}
+
+// Decodes rootStream(), lets edit change the mapped value, writes it back and
+// returns the re-encoded stream decoded again, with its graph.
+function editAndReload(edit) {
+	const graph = deserializeGraph(rootStream());
+	const value = mapMembers(graph.root);
+	edit(value);
+	applyMembers(graph.root, value);
+	const bytes = serialize(graph);
+	return { value: deserialize(bytes), graph: deserializeGraph(bytes) };
+}
+
+test("an unedited tree writes back the same", () => {
+	assert.deepEqual(editAndReload(() => {}).value, {
+		list: [{ n: 5 }],
+		numbers: [1, 2, 3],
+		names: ["a", "b"],
+		items: [{ n: 10 }, { n: 20 }]
+	});
+});
+
+test("edited members and items are written back", () => {
+	const { value } = editAndReload(value => {
+		value.list[0].n = 9;
+		value.numbers[1] = 7;
+		value.names[0] = "z";
+		value.items[1].n = 21;
+	});
+	assert.deepEqual(value, { list: [{ n: 9 }], numbers: [1, 7, 3], names: ["z", "b"], items: [{ n: 10 }, { n: 21 }] });
+});
+
+test("arrays grow, new class items taking the last item's class", () => {
+	const { value, graph } = editAndReload(value => {
+		value.list.push({ n: 6 });
+		value.numbers.push(4);
+		value.names.push("c");
+	});
+	assert.deepEqual(value.list, [{ n: 5 }, { n: 6 }]);
+	assert.deepEqual(value.numbers, [1, 2, 3, 4]);
+	assert.deepEqual(value.names, ["a", "b", "c"]);
+	assert.equal(graph.root.memberValues[0].memberValues[1].name, "Item");
+});
+
+test("a new class item keeps the members it leaves out from the item it copies", () => {
+	const { value } = editAndReload(value => value.list.push({}));
+	assert.deepEqual(value.list, [{ n: 5 }, { n: 5 }]);
+});
+
+test("arrays shrink", () => {
+	const { value } = editAndReload(value => {
+		value.list.pop();
+		value.numbers.splice(0, 2);
+		value.names.length = 0;
+	});
+	assert.deepEqual(value.list, []);
+	assert.deepEqual(value.numbers, [3]);
+	assert.deepEqual(value.names, []);
+});
+
+test("lists grow and shrink with their size", () => {
+	const grown = editAndReload(value => value.items.push({ n: 30 }));
+	assert.deepEqual(grown.value.items, [{ n: 10 }, { n: 20 }, { n: 30 }]);
+	assert.equal(grown.graph.root.memberValues[3].memberValues[1], 3);
+
+	const shrunk = editAndReload(value => value.items.splice(0, 1));
+	assert.deepEqual(shrunk.value.items, [{ n: 20 }]);
+	assert.equal(shrunk.graph.root.memberValues[3].memberValues[1], 1);
+});
+
+test("an object with no record to copy is an error rather than text", () => {
+	const graph = deserializeGraph(rootStream());
+	const value = mapMembers(graph.root);
+	value.names.push({ n: 1 });
+	applyMembers(graph.root, value);
+	assert.throws(() => serialize(graph), TypeError);
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const crypto = require("node:crypto");
+
+// Writes MS-NRBF streams byte by byte for the tests, without going through
+// serialize(), so a fixture doesn't depend on the code it checks.
+class StreamBuilder {
+	constructor() {
+		this.bytes = [];
+	}
+
+	u8(...values) {
+		for (const value of values) {
+			this.bytes.push(value & 0xFF);
+		}
+		return this;
+	}
+
+	i32(value) {
+		for (let i = 0; i < 4; i++) {
+			this.bytes.push((value >>> (8 * i)) & 0xFF);
+		}
+		return this;
+	}
+
+	i64(value) {
+		const bits = BigInt.asUintN(64, BigInt(value));
+		for (let i = 0n; i < 8n; i++) {
+			this.bytes.push(Number((bits >> (8n * i)) & 0xFFn));
+		}
+		return this;
+	}
+
+	string(value) {
+		const encoded = Buffer.from(value, "utf8");
+		let length = encoded.length;
+		do {
+			const next = length & 0x7F;
+			length >>>= 7;
+			this.bytes.push(length ? next | 0x80 : next);
+		} while (length);
+		this.bytes.push(...encoded);
+		return this;
+	}
+
+	// SerializationHeaderRecord with the root object id 1.
+	header() {
+		return this.u8(0x00).i32(1).i32(-1).i32(1).i32(0);
+	}
+
+	library(id, name) {
+		return this.u8(0x0C).i32(id).string(name);
+	}
+
+	end() {
+		return this.u8(0x0B);
+	}
+
+	toBytes() {
+		return Uint8Array.from(this.bytes);
+	}
+}
+
+// A stream whose root object has a single primitive member named value, of the
+// given PrimitiveType, with raw as the member's bytes.
+function primitiveStream(primitiveType, raw) {
+	const builder = new StreamBuilder()
+		.header()
+		.library(2, "Fixtures")
+		.u8(0x05).i32(1).string("Fixture").i32(1).string("value")
+		.u8(0x00).u8(primitiveType)
+		.i32(2);
+	raw(builder);
+	return builder.end().toBytes();
+}
+
+// The text of a save file around the inner stream: a SaveData stream holding
+// playerData, the inner stream in base64, and its checksum, in base64 again.
+function saveText(inner) {
+	const playerData = Buffer.from(inner).toString("base64");
+	const checksum = crypto.createHash("md5").update(playerData, "utf8").digest("base64");
+	const outer = new StreamBuilder().header().library(2, "Assembly-CSharp")
+		.u8(0x05).i32(1).string("SaveData").i32(2).string("playerData").string("checksum")
+		.u8(1, 1).i32(2)
+		.u8(0x06).i32(3).string(playerData)
+		.u8(0x06).i32(4).string(checksum)
+		.end().toBytes();
+	return Buffer.from(outer).toString("base64");
+}
+
+module.exports = {
+	StreamBuilder,
+	primitiveStream,
+	saveText
+};
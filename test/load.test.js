@@ -0,0 +1,29 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("node:zlib");
+const { loadSave } = require("../index.js");
+const { primitiveStream, saveText } = require("./helpers/nrbf.js");
+
+const text = saveText(primitiveStream(8, b => b.i32(7)));
+
+test("loadSave reads the text of a save", async () => {
+	const save = await loadSave(text);
+	assert.deepEqual(save.layers, ["base64", "MS-NRBF", "playerData", "base64", "MS-NRBF"]);
+	assert.deepEqual(save.playerData, { value: 7 });
+	assert.equal(save.checksum.status, "valid");
+});
+
+for (const [layer, compress] of [["gzip", zlib.gzipSync], ["zlib", zlib.deflateSync], ["deflate", zlib.deflateRawSync]]) {
+	test("loadSave reads " + layer + " compressed saves", async () => {
+		const save = await loadSave(compress(Buffer.from(text)));
+		assert.deepEqual(save.layers, [layer, "base64", "MS-NRBF", "playerData", "base64", "MS-NRBF"]);
+		assert.deepEqual(save.playerData, { value: 7 });
+	});
+}
+
+test("loadSave rejects bytes in no format it knows", async () => {
+	const noise = Uint8Array.from({ length: 64 }, (_, i) => (i * 151 + 89) & 0xFF);
+	await assert.rejects(loadSave(noise), { name: "DeserializationError", message: /^Unrecognised save format/ });
+});
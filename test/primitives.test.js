@@ -0,0 +1,50 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserialize } = require("../index.js");
+const { primitiveStream } = require("./helpers/nrbf.js");
+
+// 2000-01-01T00:00:00 in .NET ticks.
+const Y2K_TICKS = 630822816000000000n;
+const Y2K_MS = Date.UTC(2000, 0, 1);
+
+// [name, PrimitiveType, writes the value, expected decoded value, options]
+const fixtures = [
+	["boolean", 1, b => b.u8(1), true],
+	["byte", 2, b => b.u8(0xFF), 255],
+	["char, one byte", 3, b => b.u8(0x41), "A"],
+	["char, two bytes", 3, b => b.u8(0xC3, 0xA9), "é"],
+	["char, three bytes", 3, b => b.u8(0xE2, 0x82, 0xAC), "€"],
+	["char, four bytes", 3, b => b.u8(0xF0, 0x9F, 0x98, 0x80), "😀"],
+	["decimal", 5, b => b.string("79228162514264337593543950335"), "79228162514264337593543950335"],
+	["negative decimal", 5, b => b.string("-1.5"), "-1.5"],
+	["double", 6, b => b.u8(0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xF8, 0x3F), 1.5],
+	["int16", 7, b => b.u8(0xFF, 0xFF), -1],
+	["int32", 8, b => b.i32(-2), -2],
+	["int64", 9, b => b.i64(-5), "-5"],
+	["int64 as number", 9, b => b.i64(-5), -5, { int64: "number" }],
+	["int64, min", 9, b => b.i64(-(2n ** 63n)), "-9223372036854775808"],
+	["int64 as bigint", 9, b => b.i64(2n ** 62n), 2n ** 62n, { int64: "bigint" }],
+	["sbyte", 10, b => b.u8(0xFE), -2],
+	["sbyte, min", 10, b => b.u8(0x80), -128],
+	["single", 11, b => b.u8(0x00, 0x00, 0xC0, 0x3F), 1.5],
+	["TimeSpan", 12, b => b.i64(936000000000n), { ticks: "936000000000", ms: 93600000 }],
+	["negative TimeSpan", 12, b => b.i64(-1), { ticks: "-1", ms: -0.0001 }],
+	["DateTime, Unspecified", 13, b => b.i64(Y2K_TICKS), { iso: "2000-01-01T00:00:00.0000000", kind: "Unspecified", ms: Y2K_MS }],
+	["DateTime, Utc", 13, b => b.i64(Y2K_TICKS + 1n | 1n << 62n), { iso: "2000-01-01T00:00:00.0000001Z", kind: "Utc", ms: Y2K_MS }],
+	["DateTime, Local", 13, b => b.i64(Y2K_TICKS | 2n << 62n), { iso: "2000-01-01T00:00:00.0000000", kind: "Local", ms: Y2K_MS }],
+	["DateTime, Local with ambiguous offset", 13, b => b.i64(Y2K_TICKS | 3n << 62n), { iso: "2000-01-01T00:00:00.0000000", kind: "Local", ms: Y2K_MS }],
+	["uint16, max", 14, b => b.u8(0xFF, 0xFF), 65535],
+	["uint32, max", 15, b => b.i32(-1), 4294967295],
+	["uint64, max", 16, b => b.i64(2n ** 64n - 1n), "18446744073709551615"],
+	["uint64, max as bigint", 16, b => b.i64(2n ** 64n - 1n), 2n ** 64n - 1n, { int64: "bigint" }],
+	["uint64 as number", 16, b => b.i64(2n ** 53n - 1n), 2 ** 53 - 1, { int64: "number" }],
+	["string", 18, b => b.string("hällö"), "hällö"]
+];
+
+for (const [name, primitiveType, raw, expected, options] of fixtures) {
+	test("decodes " + name, () => {
+		assert.deepEqual(deserialize(primitiveStream(primitiveType, raw), options), { value: expected });
+	});
+}
@@ -0,0 +1,50 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePath, select, formatPath, flatten } = require("../query.js");
+const { diffTrees } = require("../diff.js");
+
+test("select follows keys and indexes", () => {
+	const tree = { inventory: { items: [{ id: 1 }, { id: 2 }] } };
+	assert.deepEqual(select(tree, "$.inventory.items[1].id"), [{ path: ["inventory", "items", 1, "id"], value: 2 }]);
+	assert.deepEqual(select(tree, "inventory.items[*].id").map(match => match.value), [1, 2]);
+});
+
+test("select doesn't match inherited properties", () => {
+	assert.deepEqual(select({ a: 1 }, "$.toString"), []);
+	assert.deepEqual(select({ items: [] }, "$.items.length"), []);
+	assert.deepEqual(select({ a: { constructor: 2 } }, "$.a.constructor"), [{ path: ["a", "constructor"], value: 2 }]);
+});
+
+test("filters only test a tree's own properties", () => {
+	const items = [{ id: 1 }, { id: 2, name: "b" }, { name: [] }];
+	assert.deepEqual(select(items, "$[?(@.name)].id").map(match => match.value), [2]);
+	assert.deepEqual(select(items, "$[?(@.constructor)]"), []);
+	assert.deepEqual(select(items, "$[?(@.name.length == 0)]"), []);
+	assert.deepEqual(select(items, "$[?(@.id >= 2)].name").map(match => match.value), ["b"]);
+});
+
+test("formatPath writes paths parsePath reads back", () => {
+	assert.equal(formatPath([]), "");
+	assert.equal(formatPath(["inventory", "head", "id"]), "inventory.head.id");
+	assert.equal(formatPath([0, "b c", "d.e", 'f"]']), '[0]["b c"]["d.e"]["f\\"]"]');
+	assert.deepEqual(parsePath(formatPath(["a", "b c", "d.e", 'f"]'])), ["a", "b c", "d.e", 'f"]']);
+});
+
+test("an item picked by a member selects that item", () => {
+	const tree = { inventory: [{ id: 2, v: 1 }, { id: "x]", v: 2 }] };
+	assert.equal(formatPath(["inventory", { key: "id", value: 2 }, "v"]), "inventory[id=2].v");
+	assert.deepEqual(select(tree, "inventory[id=2].v"), [{ path: ["inventory", 0, "v"], value: 1 }]);
+	assert.deepEqual(select(tree, formatPath(["inventory", { key: "id", value: "x]" }, "v"])).map(match => match.value), [2]);
+});
+
+test("diff and flatten paths can be selected", () => {
+	const before = { inventory: [{ id: 2, v: 1 }], "odd key": 1 };
+	const after = { inventory: [{ id: 2, v: 5 }], "odd key": 2 };
+	const paths = diffTrees(before, after).map(change => change.path);
+	assert.deepEqual(paths, ["inventory[id=2].v", '["odd key"]']);
+	for (const path of paths.concat(Object.keys(flatten(after)))) {
+		assert.equal(select(after, path).length, 1, path);
+	}
+});
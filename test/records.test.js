@@ -0,0 +1,230 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserialize, deserializeGraph, DeserializationError, UnknownRecordError } = require("../index.js");
+const { StreamBuilder } = require("./helpers/nrbf.js");
+
+// A root object with an int32 member a and a string member b, of which only
+// the first count are written.
+function twoMemberStream(count) {
+	const builder = new StreamBuilder()
+		.header()
+		.library(2, "Fixtures")
+		.u8(0x05).i32(1).string("Pair").i32(2).string("a").string("b")
+		.u8(0, 1).u8(8)
+		.i32(2);
+	if (count > 0) {
+		builder.i32(1);
+	}
+	if (count > 1) {
+		builder.u8(0x06).i32(3).string("two");
+	}
+	return builder.end().toBytes();
+}
+
+test("MessageEnd after every member ends the stream", () => {
+	assert.deepEqual(deserialize(twoMemberStream(2)), { a: 1, b: "two" });
+});
+
+test("MessageEnd inside an unfinished object is an error at its offset", () => {
+	const bytes = twoMemberStream(1);
+	assert.throws(() => deserialize(bytes), error => {
+		assert.ok(error instanceof DeserializationError);
+		assert.equal(error.offset, bytes.length - 1);
+		assert.equal(error.recordType, 0x0B);
+		assert.match(error.message, /Pair\.b/);
+		return true;
+	});
+});
+
+test("a lenient decode keeps the members read before an early MessageEnd", () => {
+	const graph = deserializeGraph(twoMemberStream(1), { lenient: true });
+	assert.ok(graph.error instanceof DeserializationError);
+	assert.deepEqual(graph.root.memberValues, [1]);
+});
+
+// An object[] root of the given length holding a single run of nulls.
+function nullArrayStream(length, nulls) {
+	return new StreamBuilder()
+		.header()
+		.u8(0x10).i32(1).i32(length)
+		.u8(0x0E).i32(nulls)
+		.end()
+		.toBytes();
+}
+
+test("a run of nulls fills an array", () => {
+	assert.deepEqual(deserialize(nullArrayStream(5, 5)), [null, null, null, null, null]);
+	assert.deepEqual(deserialize(new StreamBuilder().header().u8(0x10).i32(1).i32(3).u8(0x0D, 3).end().toBytes()), [null, null, null]);
+});
+
+test("a run of nulls longer than the items left is an error at its record", () => {
+	assert.throws(() => deserialize(nullArrayStream(3, 4)), { name: "DeserializationError", offset: 26 });
+	assert.throws(() => deserialize(nullArrayStream(3, -1)), { name: "DeserializationError", offset: 26 });
+});
+
+test("arrays longer than the limit are rejected before any items are read", () => {
+	assert.throws(() => deserialize(nullArrayStream(0x7FFFFFFF, 0x7FFFFFFF)), { name: "DeserializationError", offset: 18 });
+	assert.throws(() => deserialize(nullArrayStream(20000000, 20000000)), { name: "DeserializationError", offset: 18 });
+	assert.throws(() => deserialize(nullArrayStream(5, 5), { maxArrayLength: 4 }), { name: "DeserializationError", offset: 18 });
+});
+
+test("a rectangular array's limit applies to its total size", () => {
+	const bytes = new StreamBuilder()
+		.header()
+		.u8(0x07).i32(1).u8(2).i32(2).i32(0x10000).i32(0x10000).u8(2)
+		.end()
+		.toBytes();
+	assert.throws(() => deserialize(bytes), { name: "DeserializationError", offset: 18 });
+});
+
+test("a BinaryArray of primitives longer than the stream is rejected", () => {
+	const bytes = new StreamBuilder()
+		.header()
+		.u8(0x07).i32(1).u8(0).i32(1).i32(1000).u8(0, 8)
+		.i32(1)
+		.end()
+		.toBytes();
+	assert.throws(() => deserialize(bytes), { name: "DeserializationError", offset: 18 });
+});
+
+test("the root is the object the header names, not the first one read", () => {
+	const bytes = new StreamBuilder()
+		.u8(0x00).i32(5).i32(-1).i32(1).i32(0)
+		.u8(0x06).i32(2).string("orphan")
+		.library(3, "Fixtures")
+		.u8(0x05).i32(5).string("Pair").i32(2).string("a").string("b")
+		.u8(0, 1).u8(8)
+		.i32(3)
+		.i32(1)
+		.u8(0x09).i32(2)
+		.end()
+		.toBytes();
+	assert.deepEqual(deserialize(bytes), { a: 1, b: "orphan" });
+});
+
+test("an unknown record type is an error at its offset naming the type", () => {
+	const bytes = new StreamBuilder().header().u8(0x13).end().toBytes();
+	assert.throws(() => deserialize(bytes), error => {
+		assert.ok(error instanceof UnknownRecordError);
+		assert.ok(error instanceof DeserializationError);
+		assert.equal(error.offset, 17);
+		assert.equal(error.recordType, 0x13);
+		assert.match(error.message, /^Unknown record type 0x13\./);
+		return true;
+	});
+});
+
+test("a SystemClassWithMembers record reads each member as a full record", () => {
+	const bytes = new StreamBuilder()
+		.header()
+		.u8(0x02).i32(1).string("System.Collections.DictionaryEntry").i32(2).string("key").string("value")
+		.u8(0x06).i32(2).string("gold")
+		.u8(0x08, 8).i32(5)
+		.end()
+		.toBytes();
+	const graph = deserializeGraph(bytes);
+	assert.equal(graph.root.name, "System.Collections.DictionaryEntry");
+	assert.equal(graph.root.libraryId, null);
+	assert.deepEqual(deserialize(bytes), { key: "gold", value: 5 });
+});
+
+// 2.2.3.1 BinaryMethodCall with the given MessageFlags, followed by what the flags say is inline.
+function methodCall(flags, inline) {
+	const builder = new StreamBuilder()
+		.header()
+		.u8(0x15).i32(flags)
+		.u8(18).string("Add")
+		.u8(18).string("Calc, Fixtures");
+	inline(builder);
+	return builder.end().toBytes();
+}
+
+test("a BinaryMethodCall reads no context or arguments without their flags", () => {
+	assert.deepEqual(deserialize(methodCall(0x1 | 0x10, () => {})), {
+		messageEnum: 0x11,
+		methodName: "Add",
+		typeName: "Calc, Fixtures",
+		callContext: null,
+		args: null,
+		callArray: null
+	});
+});
+
+test("a BinaryMethodCall reads its inline context and arguments", () => {
+	const bytes = methodCall(0x2 | 0x20, b => b.u8(18).string("ctx").i32(2).u8(8).i32(3).u8(18).string("x"));
+	const message = deserialize(bytes);
+	assert.equal(message.callContext, "ctx");
+	assert.deepEqual(message.args, [3, "x"]);
+});
+
+test("a BinaryMethodCall with its arguments in an array returns them as callArray", () => {
+	const bytes = methodCall(0x8 | 0x10, b => b.u8(0x10).i32(1).i32(2).u8(0x06).i32(2).string("x").u8(0x0A));
+	const message = deserialize(bytes);
+	assert.equal(message.args, null);
+	assert.deepEqual(message.callArray, ["x", null]);
+});
+
+test("a BinaryMethodReturn reads its return value, context and arguments by their flags", () => {
+	const returned = flags => new StreamBuilder().header().u8(0x16).i32(flags);
+	assert.deepEqual(deserialize(returned(0x800).u8(8).i32(7).end().toBytes()), {
+		messageEnum: 0x800,
+		returnValue: 7,
+		callContext: null,
+		args: null,
+		callArray: null
+	});
+	const message = deserialize(returned(0x800 | 0x20 | 0x2)
+		.u8(18).string("done").u8(18).string("ctx").i32(1).u8(1).u8(1)
+		.end().toBytes());
+	assert.equal(message.returnValue, "done");
+	assert.equal(message.callContext, "ctx");
+	assert.deepEqual(message.args, [true]);
+	assert.equal(deserialize(returned(0x400).end().toBytes()).returnValue, null);
+});
+
+// A BinaryObjectString root whose LengthPrefixedString starts at offset 22
+// with the given bytes.
+function stringRecord(...bytes) {
+	return new StreamBuilder().header().u8(0x06).i32(1).u8(...bytes).end().toBytes();
+}
+
+test("a string length prefix longer than 5 bytes is an error at the prefix", () => {
+	assert.throws(() => deserialize(stringRecord(0x80, 0x80, 0x80, 0x80, 0x80, 0x01)), {
+		name: "DeserializationError",
+		offset: 22,
+		message: /^String length prefix is longer than 5 bytes\./
+	});
+});
+
+test("a string length over 0x7FFFFFFF is an error at the prefix", () => {
+	assert.throws(() => deserialize(stringRecord(0xFF, 0xFF, 0xFF, 0xFF, 0x0F)), {
+		name: "DeserializationError",
+		offset: 22,
+		message: /^String length 4294967295 is out of range\./
+	});
+	// 0x7FFFFFFF itself is in range, but no buffer here is that long.
+	assert.throws(() => deserialize(stringRecord(0xFF, 0xFF, 0xFF, 0xFF, 0x07)), {
+		offset: 22,
+		message: /^String of length 2147483647 runs past the end of the buffer\./
+	});
+});
+
+test("a string running past the end of the buffer is an error at the prefix", () => {
+	assert.throws(() => deserialize(stringRecord(10, 0x61, 0x62, 0x63)), {
+		name: "DeserializationError",
+		offset: 22,
+		message: /^String of length 10 runs past the end of the buffer\./
+	});
+});
+
+test("a lenient decode of bytes without a header returns the error", () => {
+	const bytes = Uint8Array.of(0x01, 0x02, 0x03);
+	assert.throws(() => deserializeGraph(bytes), { name: "DeserializationError", offset: 0 });
+	const graph = deserializeGraph(bytes, { lenient: true });
+	assert.ok(graph.error instanceof DeserializationError);
+	assert.equal(graph.error.offset, 0);
+	assert.match(graph.error.message, /^Not an MS-NRBF stream/);
+	assert.equal(graph.root, undefined);
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserialize, deserializeGraph, serialize, decodeSave, encodeSave, verifyChecksum } = require("../index.js");
+const { StreamBuilder, saveText } = require("./helpers/nrbf.js");
+
+const FRIENDS = 60;
+const SCORES = 1000;
+const TITLES = 200;
+
+// A PlayerData graph laid out the way BinaryFormatter writes one: ids count up
+// in the order objects are first met, members that are arrays or objects are
+// references written after their owner, and repeated classes reuse the first
+// one's metadata through ClassWithId. It comes to about 13 KB, enough to make
+// the writer grow its buffer several times.
+function playerStream() {
+	let nextId = 3;
+	const b = new StreamBuilder().header().library(2, "Assembly-CSharp");
+	b.u8(0x05).i32(1).string("PlayerData").i32(6);
+	for (const name of ["name", "level", "gold", "scores", "titles", "friends"]) {
+		b.string(name);
+	}
+	b.u8(1, 0, 0, 7, 6, 5).u8(8, 9, 6);
+	b.i32(2);
+	b.u8(0x06).i32(nextId++).string("Wanderer");
+	b.i32(41);
+	b.i64(2n ** 60n + 7n);
+	const [scoresId, titlesId, friendsId] = [nextId++, nextId++, nextId++];
+	b.u8(0x09).i32(scoresId);
+	b.u8(0x09).i32(titlesId);
+	b.u8(0x09).i32(friendsId);
+
+	b.u8(0x0F).i32(scoresId).i32(SCORES).u8(6);
+	for (let i = 0; i < SCORES; i++) {
+		b.u8(...new Uint8Array(Float64Array.of(i * 1.25).buffer));
+	}
+
+	b.u8(0x11).i32(titlesId).i32(TITLES);
+	for (let i = 0; i < TITLES; i++) {
+		if (i % 10 === 9) {
+			b.u8(0x0A);
+		} else {
+			b.u8(0x06).i32(nextId++).string("Title " + i + (i % 7 ? "" : " ★"));
+		}
+	}
+
+	b.u8(0x10).i32(friendsId).i32(FRIENDS);
+	const friendIds = [];
+	for (let i = 0; i < FRIENDS; i++) {
+		friendIds.push(nextId++);
+		b.u8(0x09).i32(friendIds[i]);
+	}
+	for (let i = 0; i < FRIENDS; i++) {
+		if (i === 0) {
+			b.u8(0x05).i32(friendIds[0]).string("Friend").i32(2).string("name").string("level").u8(1, 0).u8(8).i32(2);
+		} else {
+			b.u8(0x01).i32(friendIds[i]).i32(friendIds[0]);
+		}
+		b.u8(0x06).i32(nextId++).string("Friend number " + i);
+		b.i32(i * 3);
+	}
+	return b.end().toBytes();
+}
+
+test("the fixture covers several KB", () => {
+	assert.ok(playerStream().length > 8192);
+});
+
+test("decode, encode and decode again gives the same bytes", () => {
+	const bytes = playerStream();
+	const encoded = serialize(deserializeGraph(bytes, { int64: "bigint" }));
+	assert.deepEqual(encoded, bytes);
+	assert.deepEqual(deserialize(encoded, { int64: "bigint" }), deserialize(bytes, { int64: "bigint" }));
+});
+
+test("decoded values survive the trip", () => {
+	const value = deserialize(serialize(deserializeGraph(playerStream())));
+	assert.equal(value.name, "Wanderer");
+	assert.equal(value.gold, String(2n ** 60n + 7n));
+	assert.equal(value.scores.length, SCORES);
+	assert.equal(value.scores[SCORES - 1], (SCORES - 1) * 1.25);
+	assert.equal(value.titles[9], null);
+	assert.equal(value.titles[7], "Title 7 ★");
+	assert.deepEqual(value.friends[FRIENDS - 1], { name: "Friend number " + (FRIENDS - 1), level: (FRIENDS - 1) * 3 });
+});
+
+test("a save decodes, encodes and decodes to the same save", () => {
+	const text = saveText(playerStream());
+	const save = decodeSave(text);
+	const encoded = encodeSave(save);
+	assert.equal(encoded, text);
+	const again = decodeSave(encoded);
+	assert.equal(verifyChecksum(again).status, "valid");
+	assert.deepEqual(again.inner.root, decodeSave(text).inner.root);
+});
+
+test("an edited save keeps its edit and a matching checksum", () => {
+	const save = decodeSave(saveText(playerStream()));
+	save.inner.root.memberValues[save.inner.root.memberNames.indexOf("level")] = 42;
+	const again = decodeSave(encodeSave(save));
+	assert.equal(again.inner.root.memberValues[again.inner.root.memberNames.indexOf("level")], 42);
+	assert.equal(verifyChecksum(again).status, "valid");
+});
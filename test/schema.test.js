@@ -0,0 +1,66 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserializeAst } = require("../index.js");
+const { applySchema } = require("../schema.js");
+const { StreamBuilder } = require("./helpers/nrbf.js");
+
+function double(value) {
+	return [...new Uint8Array(Float64Array.of(value).buffer)];
+}
+
+// A PlayerData with base energy stats, nine beards (two more than the schema
+// names) and an inventory whose head slot holds item 37. Members are written
+// without types, each as a full record.
+function playerAst() {
+	const b = new StreamBuilder().header().library(2, "Assembly-CSharp");
+	b.u8(0x03).i32(1).string("PlayerData").i32(4)
+		.string("energyPower").string("energyCap").string("beards").string("inventory").i32(2);
+	b.u8(0x08, 6).u8(...double(2.5));
+	b.u8(0x08, 6).u8(...double(100));
+	b.u8(0x03).i32(3).string("Beards").i32(1).string("beards").i32(2);
+	b.u8(0x0F).i32(4).i32(9).u8(8);
+	for (let i = 0; i < 9; i++) {
+		b.i32(i * 10);
+	}
+	b.u8(0x03).i32(5).string("Inventory").i32(2).string("head").string("daycare").i32(2);
+	b.u8(0x03).i32(6).string("Equipment").i32(1).string("id").i32(2).u8(0x08, 8).i32(37);
+	b.u8(0x0A);
+	return deserializeAst(b.end().toBytes());
+}
+
+test("arrays are keyed by their table's labels", () => {
+	const { data } = applySchema(playerAst());
+	assert.equal(data.beards.beards["The Fu Manchu"], 0);
+	assert.equal(data.beards.beards["The Beardiest Beard"], 60);
+	assert.equal(data.beards.beards["#8"], 80);
+});
+
+test("warnings list unlabelled indexes and unknown members", () => {
+	const { schemaVersion, warnings } = applySchema(playerAst());
+	assert.equal(schemaVersion, 2);
+	assert.ok(warnings.includes("beards has no names for 7, 8."));
+	assert.ok(warnings.includes("Inventory has members schema 2 doesn't know: daycare."));
+});
+
+test("ids and arrays without a table stay as they are", () => {
+	const { data, warnings } = applySchema(playerAst());
+	assert.deepEqual(data.inventory.head, { id: 37 });
+	assert.ok(!warnings.some(warning => warning.includes("37")));
+});
+
+test("energy and magic are reported separately", () => {
+	const { derived } = applySchema(playerAst());
+	assert.deepEqual(derived.energy, { power: 2.5, cap: 100, bars: null });
+	assert.deepEqual(derived.magic, { power: null, cap: null, bars: null });
+	assert.equal(derived.power, undefined);
+});
+
+test("rectangular arrays are nested by their dimensions", () => {
+	const b = new StreamBuilder().header().u8(0x07).i32(1).u8(2).i32(2).i32(2).i32(3).u8(0, 8);
+	for (let i = 1; i <= 6; i++) {
+		b.i32(i);
+	}
+	assert.deepEqual(applySchema(deserializeAst(b.end().toBytes())).data, [[1, 2, 3], [4, 5, 6]]);
+});
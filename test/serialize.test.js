@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { deserializeGraph, serialize } = require("../index.js");
+const { primitiveStream } = require("./helpers/nrbf.js");
+
+// Decodes a one-member fixture, sets its value and writes it back out.
+function reserialize(primitiveType, raw, value) {
+	const graph = deserializeGraph(primitiveStream(primitiveType, raw), { int64: "string" });
+	graph.root.memberValues[0] = value;
+	return deserializeGraph(serialize(graph), { int64: "string" }).root.memberValues[0];
+}
+
+// [name, PrimitiveType, writes the original value, edited value]
+const outOfRange = [
+	["byte above 255", 2, b => b.u8(0), 256],
+	["negative byte", 2, b => b.u8(0), -1],
+	["int16 above its max", 7, b => b.u8(0, 0), 0x8000],
+	["int32 above its max", 8, b => b.i32(0), 0x80000000],
+	["int32 below its min", 8, b => b.i32(0), -0x80000001],
+	["fractional int32", 8, b => b.i32(0), 1.5],
+	["int32 from text", 8, b => b.i32(0), "twelve"],
+	["int64 above its max", 9, b => b.i64(0), "99999999999999999999"],
+	["int64 below its min", 9, b => b.i64(0), -(2n ** 63n) - 1n],
+	["sbyte below its min", 10, b => b.u8(0), -129],
+	["negative uint16", 14, b => b.u8(0, 0), -1],
+	["uint32 above its max", 15, b => b.i32(0), 2 ** 32],
+	["negative uint64", 16, b => b.i64(0), "-1"],
+	["uint64 above its max", 16, b => b.i64(0), 2n ** 64n]
+];
+
+for (const [name, primitiveType, raw, value] of outOfRange) {
+	test("serialize rejects " + name, () => {
+		assert.throws(() => reserialize(primitiveType, raw, value), RangeError);
+	});
+}
+
+test("serialize writes the limits of each integer type", () => {
+	assert.equal(reserialize(2, b => b.u8(0), 255), 255);
+	assert.equal(reserialize(8, b => b.i32(0), -0x80000000), -0x80000000);
+	assert.equal(reserialize(9, b => b.i64(0), "9223372036854775807"), "9223372036854775807");
+	assert.equal(reserialize(10, b => b.u8(0), -128), -128);
+	assert.equal(reserialize(16, b => b.i64(0), "18446744073709551615"), "18446744073709551615");
+});
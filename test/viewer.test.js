@@ -0,0 +1,29 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatNumber } = require("../viewer.js");
+
+test("numbers below a million are shown in full", () => {
+	assert.equal(formatNumber(999999, "scientific"), "999999");
+	assert.equal(formatNumber(-12.5, "engineering"), "-12.5");
+	assert.equal(formatNumber(12345678, "plain"), "12345678");
+	assert.equal(formatNumber(Infinity, "scientific"), "Infinity");
+});
+
+test("scientific notation keeps four significant digits", () => {
+	assert.equal(formatNumber(12345678, "scientific"), "1.235E+7");
+	assert.equal(formatNumber(-2.5e300, "scientific"), "-2.500E+300");
+});
+
+test("engineering notation uses exponents that are multiples of 3", () => {
+	assert.equal(formatNumber(12345678, "engineering"), "12.346E+6");
+	assert.equal(formatNumber(123456789, "engineering"), "123.457E+6");
+	assert.equal(formatNumber(-1e9, "engineering"), "-1.000E+9");
+});
+
+test("engineering notation carries a mantissa that rounds up to 1000", () => {
+	assert.equal(formatNumber(999999999, "engineering"), "1.000E+9");
+	assert.equal(formatNumber(-999999500000, "engineering"), "-1.000E+12");
+	assert.equal(formatNumber(999999499, "engineering"), "999.999E+6");
+});
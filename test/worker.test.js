@@ -0,0 +1,98 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSave, buildAst } = require("../index.js");
+const { applySchema } = require("../schema.js");
+const { decodeInWorker } = require("../worker.js");
+const { StreamBuilder, saveText } = require("./helpers/nrbf.js");
+
+// A save whose playerData has two string members, the first long enough that
+// both streams report progress before they are read to the end.
+function playerStream() {
+	return new StreamBuilder().header().library(2, "Assembly-CSharp")
+		.u8(0x05).i32(1).string("PlayerData").i32(2).string("notes").string("name")
+		.u8(1, 1).i32(2)
+		.u8(0x06).i32(3).string("x".repeat(0x14000))
+		.u8(0x06).i32(4).string("Bodrick")
+		.end().toBytes();
+}
+
+const text = saveText(playerStream());
+
+test("decodeInWorker reports progress through each stream in turn", async () => {
+	const calls = [];
+	const save = await decodeInWorker(text, {
+		onProgress: (position, length, stream) => calls.push({ position, length, stream })
+	});
+	save.close();
+	assert.deepEqual([...new Set(calls.map(call => call.stream))], ["save", "playerData"]);
+	for (const stream of ["save", "playerData"]) {
+		const reported = calls.filter(call => call.stream === stream);
+		assert.ok(reported.some(call => call.position < call.length), stream + " reports before its end");
+		for (let i = 1; i < reported.length; i++) {
+			assert.ok(reported[i].position >= reported[i - 1].position);
+		}
+		const last = reported[reported.length - 1];
+		assert.equal(last.position, last.length);
+	}
+});
+
+test("decodeInWorker sends playerData a member at a time", async () => {
+	const chunks = [];
+	const save = await decodeInWorker(text, { onChunk: (key, value) => chunks.push(key) });
+	save.close();
+	assert.deepEqual(chunks, ["notes", "name"]);
+	assert.equal(save.playerData.name, "Bodrick");
+	assert.equal(save.playerData.notes.length, 0x14000);
+	assert.deepEqual(save.layers, ["base64", "MS-NRBF", "playerData", "base64", "MS-NRBF"]);
+	assert.equal(save.checksum.status, "valid");
+	assert.equal(save.error, null);
+});
+
+test("decodeInWorker takes an ArrayBuffer over to the worker", async () => {
+	const buffer = new TextEncoder().encode(text).buffer;
+	const save = await decodeInWorker(buffer);
+	save.close();
+	assert.equal(buffer.byteLength, 0);
+	assert.equal(save.playerData.name, "Bodrick");
+});
+
+test("ngu() resolves to the save's NGU view", async () => {
+	const save = await decodeInWorker(text);
+	try {
+		const expected = applySchema(buildAst((await loadSave(text)).inner));
+		assert.deepEqual(await save.ngu(), expected);
+	} finally {
+		save.close();
+	}
+});
+
+test("aborting the signal cancels decoding", async () => {
+	const controller = new AbortController();
+	const decoding = decodeInWorker(text, { signal: controller.signal });
+	controller.abort();
+	await assert.rejects(decoding, { name: "AbortError", message: "Decoding was cancelled." });
+});
+
+test("an already aborted signal cancels decoding before it starts", async () => {
+	const controller = new AbortController();
+	controller.abort();
+	let progressed = false;
+	await assert.rejects(decodeInWorker(text, { signal: controller.signal, onProgress: () => progressed = true }), { name: "AbortError" });
+	assert.equal(progressed, false);
+});
+
+test("decodeInWorker rejects with the error decoding failed at", async () => {
+	await assert.rejects(decodeInWorker("not a save"), { name: "DeserializationError", message: /^Unrecognised save format/ });
+});
+
+test("with lenient, decodeInWorker resolves with the error and what came before it", async () => {
+	const stream = playerStream();
+	const save = await decodeInWorker(Buffer.from(stream.subarray(0, stream.length - 12)), { lenient: true });
+	save.close();
+	assert.equal(save.error.name, "EndOfBufferError");
+	assert.equal(typeof save.error.offset, "number");
+	assert.equal(save.playerData.notes.length, 0x14000);
+	assert.deepEqual(save.layers, ["MS-NRBF"]);
+});
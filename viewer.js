@@ -0,0 +1,281 @@
+"use strict";
+
+const TREE_CHUNK_SIZE = 100;
+const TREE_SEARCH_LIMIT = 500;
+
+// Formats a number the way the game does once it gets large, e.g. 12345678
+// is "1.235E+7" in scientific mode and "12.346E+6" in engineering mode.
+function formatNumber(value, mode) {
+	if (mode === "plain" || !isFinite(value) || Math.abs(value) < 1e6) {
+		return String(value);
+	}
+	if (mode === "engineering") {
+		const exponent = Math.floor(Math.log10(Math.abs(value)));
+		let engineeringExponent = exponent - exponent % 3;
+		let mantissa = (value / Math.pow(10, engineeringExponent)).toFixed(3);
+		// Rounding can carry the mantissa up to 1000, as 999999999 does.
+		if (Math.abs(mantissa) >= 1000) {
+			engineeringExponent += 3;
+			mantissa = (value / Math.pow(10, engineeringExponent)).toFixed(3);
+		}
+		return mantissa + "E+" + engineeringExponent;
+	}
+	return value.toExponential(3).toUpperCase();
+}
+
+// A path as ngu-decode --select takes it, from formatPath() in query.js.
+function displayPath(keys) {
+	return keys.length ? formatPath(keys) : "$";
+}
+
+// Returns the { path, value } of every key or leaf value in data that
+// contains query, ignoring case.
+function searchTree(data, query, limit = TREE_SEARCH_LIMIT) {
+	const needle = query.toLowerCase();
+	const results = [];
+	const stack = [{ path: [], value: data }];
+	while (stack.length && results.length < limit) {
+		const { path, value } = stack.pop();
+		const key = path.length ? String(path[path.length - 1]) : "";
+		const isLeaf = value === null || typeof value !== "object";
+		if (key.toLowerCase().includes(needle) || (isLeaf && String(value).toLowerCase().includes(needle))) {
+			results.push({ path, value });
+		}
+		if (!isLeaf) {
+			const keys = Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+			for (let i = keys.length - 1; i >= 0; i--) {
+				stack.push({ path: path.concat(keys[i]), value: value[keys[i]] });
+			}
+		}
+	}
+	return results;
+}
+
+// A collapsible tree of data in container. Children are only built when a
+// node is first opened, and long arrays are split into groups of
+// TREE_CHUNK_SIZE items that are built the same way.
+function treeView(container) {
+	let data = null;
+	let numberFormat = "scientific";
+	let selectedPath = [];
+	let selectedElement = null;
+	const expanders = new WeakMap();
+
+	const toolbar = document.createElement("div");
+	toolbar.className = "tree-toolbar";
+	const searchInput = document.createElement("input");
+	searchInput.type = "search";
+	searchInput.placeholder = "Search keys and values";
+	const formatSelect = document.createElement("select");
+	for (const mode of ["scientific", "engineering", "plain"]) {
+		formatSelect.add(new Option(mode[0].toUpperCase() + mode.slice(1), mode));
+	}
+	const breadcrumb = document.createElement("code");
+	breadcrumb.className = "tree-breadcrumb";
+	const copyButton = document.createElement("button");
+	copyButton.textContent = "Copy path";
+	toolbar.append(searchInput, formatSelect, copyButton, breadcrumb);
+	const results = document.createElement("ol");
+	results.className = "tree-results";
+	const root = document.createElement("div");
+	root.className = "tree";
+	container.replaceChildren(toolbar, results, root);
+
+	function renderValue(value) {
+		const span = document.createElement("span");
+		span.className = "tree-value " + (value === null ? "null" : typeof value);
+		// Only numbers are formatted: a string of digits may be text, and int64
+		// strings read best exactly as they are.
+		if (typeof value === "number") {
+			span.textContent = formatNumber(value, numberFormat);
+		} else {
+			span.textContent = JSON.stringify(value);
+		}
+		return span;
+	}
+
+	function renderLabel(element, key, text) {
+		const label = document.createElement("span");
+		label.className = "tree-key";
+		label.textContent = key;
+		element.appendChild(label);
+		if (text !== "") {
+			element.append(": ", text);
+		}
+	}
+
+	function preview(value) {
+		if (Array.isArray(value)) {
+			return "[" + value.length + "]";
+		}
+		// DateTimes read better as their ISO string.
+		return typeof value.iso === "string" ? "{" + value.iso + "}" : "{" + Object.keys(value).length + "}";
+	}
+
+	function select(path, element) {
+		if (selectedElement) {
+			selectedElement.classList.remove("selected");
+		}
+		selectedPath = path;
+		selectedElement = element;
+		element.classList.add("selected");
+		breadcrumb.textContent = displayPath(path);
+	}
+
+	function renderBranch(label, keys, value, path) {
+		const details = document.createElement("details");
+		const summary = document.createElement("summary");
+		renderLabel(summary, label, Array.isArray(keys) ? "" : preview(value));
+		details.appendChild(summary);
+		expanders.set(details, function () {
+			if (details.lastChild !== summary) {
+				return;
+			}
+			const children = document.createElement("div");
+			children.className = "tree-children";
+			const allKeys = Array.isArray(keys) ? keys : Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+			if (!Array.isArray(keys) && Array.isArray(value) && value.length > TREE_CHUNK_SIZE) {
+				for (let start = 0; start < allKeys.length; start += TREE_CHUNK_SIZE) {
+					const chunkKeys = allKeys.slice(start, start + TREE_CHUNK_SIZE);
+					const chunk = renderBranch("[" + chunkKeys[0] + "…" + chunkKeys[chunkKeys.length - 1] + "]", chunkKeys, value, path);
+					chunk.dataset.chunk = start;
+					children.appendChild(chunk);
+				}
+			} else {
+				for (const k of allKeys) {
+					children.appendChild(renderNode(k, value[k], path.concat(k)));
+				}
+			}
+			details.appendChild(children);
+		});
+		details.addEventListener("toggle", function () {
+			if (details.open) {
+				expanders.get(details)();
+			}
+		});
+		return details;
+	}
+
+	function renderNode(key, value, path) {
+		let element;
+		if (value === null || typeof value !== "object") {
+			element = document.createElement("div");
+			element.className = "tree-leaf";
+			renderLabel(element, key, renderValue(value));
+			element.addEventListener("click", () => select(path, element));
+		} else {
+			element = renderBranch(key, null, value, path);
+			element.firstChild.addEventListener("click", () => select(path, element));
+		}
+		element.dataset.key = key;
+		return element;
+	}
+
+	function open(element) {
+		if (expanders.has(element)) {
+			expanders.get(element)();
+			element.open = true;
+		}
+	}
+
+	function childFor(element, key) {
+		const children = element.lastChild.children;
+		for (const child of children) {
+			if (child.dataset.chunk !== undefined) {
+				const start = Number(child.dataset.chunk);
+				if (key >= start && key < start + TREE_CHUNK_SIZE) {
+					open(child);
+					return childFor(child, key);
+				}
+			} else if (child.dataset.key === String(key)) {
+				return child;
+			}
+		}
+		return null;
+	}
+
+	// Opens every node down to path, then selects and scrolls to it.
+	function reveal(path) {
+		let element = root.firstChild;
+		for (const key of path) {
+			open(element);
+			element = childFor(element, key);
+			if (!element) {
+				return;
+			}
+		}
+		select(path, element);
+		element.scrollIntoView({ block: "center" });
+	}
+
+	function render() {
+		root.replaceChildren();
+		if (data !== null) {
+			root.appendChild(renderNode("$", data, []));
+			open(root.firstChild);
+		}
+	}
+
+	function search() {
+		results.replaceChildren();
+		if (!searchInput.value || data === null) {
+			return;
+		}
+		const matches = searchTree(data, searchInput.value);
+		for (const match of matches) {
+			const item = document.createElement("li");
+			const link = document.createElement("a");
+			link.href = "#";
+			link.textContent = displayPath(match.path);
+			link.addEventListener("click", function (e) {
+				e.preventDefault();
+				reveal(match.path);
+			});
+			item.appendChild(link);
+			if (match.value === null || typeof match.value !== "object") {
+				item.append(" = ", renderValue(match.value));
+			}
+			results.appendChild(item);
+		}
+		if (matches.length === TREE_SEARCH_LIMIT) {
+			results.append("Showing the first " + TREE_SEARCH_LIMIT + " matches.");
+		}
+	}
+
+	searchInput.addEventListener("change", search);
+	formatSelect.addEventListener("change", function () {
+		numberFormat = formatSelect.value;
+		const path = selectedPath;
+		render();
+		search();
+		if (path.length) {
+			reveal(path);
+		}
+	});
+	copyButton.addEventListener("click", function () {
+		if (navigator.clipboard) {
+			navigator.clipboard.writeText(displayPath(selectedPath));
+		} else {
+			// No clipboard API (e.g. an insecure origin); select the path for a manual copy.
+			getSelection().selectAllChildren(breadcrumb);
+		}
+	});
+
+	return {
+		setData: (value) => {
+			data = value;
+			selectedPath = [];
+			selectedElement = null;
+			breadcrumb.textContent = "";
+			render();
+			search();
+		},
+		reveal
+	};
+}
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = {
+		formatNumber
+	};
+}
@@ -0,0 +1,237 @@
+"use strict";
+
+// Decodes saves off the main thread, in a Web Worker in the page and in a
+// worker_threads Worker in Node.js. This file is both ends: run as a worker it
+// decodes, loaded by the page or required as a module it provides
+// decodeInWorker().
+//
+// Messages to the worker:
+//   { type: "decode", input, options }  options as for loadSave()
+//   { type: "schema" }                  asks for the NGU view of the last save
+// Messages from the worker:
+//   { type: "progress", position, length, stream }
+//   { type: "chunk", key, value }       one top-level member of playerData
+//   { type: "done", layers, wrapper, checksum, error, chunked, playerData }
+//   { type: "schema", value, error }
+//   { type: "failed", error }
+// playerData comes back a member at a time when it is an object (chunked is
+// true), so no one message holds the whole save.
+
+// The page's own address for worker.js, to start the worker from.
+const WORKER_SCRIPT = typeof document !== "undefined" && document.currentScript ? document.currentScript.src : null;
+
+// Errors lose their class on the way between threads; keep what showError()
+// and callers look at.
+function errorData(error) {
+	return error && {
+		name: error.name,
+		message: error.message,
+		offset: error.offset,
+		recordType: error.recordType,
+		path: error.path
+	};
+}
+
+function toError(data) {
+	return data && Object.assign(new Error(data.message), data);
+}
+
+// The worker's end: returns a handler for messages to the worker, which
+// answers through post. lib holds loadSave, buildAst and applySchema.
+function serveDecoding(post, lib) {
+	let inner = null;
+	return async function (message) {
+		if (message.type === "schema") {
+			try {
+				post({ type: "schema", value: inner && inner.root ? lib.applySchema(lib.buildAst(inner)) : null, error: null });
+			} catch (e) {
+				post({ type: "schema", value: null, error: errorData(e) });
+			}
+			return;
+		}
+		try {
+			const save = await lib.loadSave(message.input, {
+				...message.options,
+				onProgress: (position, length, stream) => post({ type: "progress", position, length, stream })
+			});
+			inner = save.inner;
+			const data = save.playerData;
+			const chunked = data !== null && typeof data === "object" && !Array.isArray(data);
+			if (chunked) {
+				for (const key of Object.keys(data)) {
+					post({ type: "chunk", key, value: data[key] });
+				}
+			}
+			post({
+				type: "done",
+				layers: save.layers,
+				wrapper: save.wrapper,
+				checksum: save.checksum,
+				error: errorData((save.outer && save.outer.error) || save.inner.error),
+				chunked,
+				playerData: chunked ? null : data
+			});
+		} catch (e) {
+			post({ type: "failed", error: errorData(e) });
+		}
+	};
+}
+
+// Starts a worker and returns { post, terminate, busy }; its replies go to
+// onMessage. Where no worker can be started, as for a page opened from a
+// file, the stand-in decodes on this thread instead.
+function startWorker(onMessage, onError) {
+	if (typeof window === "undefined" && typeof require === "function") {
+		const { Worker } = require("worker_threads");
+		const worker = new Worker(__filename, { workerData: { nguDecoder: true } });
+		worker.on("message", onMessage);
+		worker.on("error", onError);
+		return {
+			post: (message, transfer) => worker.postMessage(message, transfer),
+			terminate: () => worker.terminate(),
+			// An idle worker shouldn't keep Node running.
+			busy: busy => busy ? worker.ref() : worker.unref()
+		};
+	}
+	if (typeof Worker !== "undefined" && WORKER_SCRIPT) {
+		try {
+			const worker = new Worker(WORKER_SCRIPT);
+			worker.onmessage = event => onMessage(event.data);
+			worker.onerror = event => onError(new Error(event.message));
+			return {
+				post: (message, transfer) => worker.postMessage(message, transfer),
+				terminate: () => worker.terminate(),
+				busy: () => {}
+			};
+		} catch (e) {
+			// Fall through to decoding here.
+		}
+	}
+	let terminated = false;
+	const serve = serveDecoding(message => terminated || onMessage(message), { loadSave, buildAst, applySchema });
+	return {
+		post: message => serve(message),
+		terminate: () => terminated = true,
+		busy: () => {}
+	};
+}
+
+// Decodes a save in a worker. input and options are as for loadSave(), plus:
+//   options.onProgress(position, length, stream): bytes read of the stream
+//     being decoded, "save" or "playerData" as for loadSave()
+//   options.onChunk(key, value): each top-level member of playerData as it arrives
+//   options.signal: an AbortSignal that cancels decoding
+// Resolves to { layers, wrapper, checksum, playerData, error, ngu(), close() }
+// where error is the error decoding stopped at with options.lenient, ngu()
+// resolves to the applySchema() view of the save and close() stops the worker,
+// which otherwise stays up for ngu(). An ArrayBuffer input is transferred to
+// the worker, so it can't be used afterwards.
+function decodeInWorker(input, options = {}) {
+	const { onProgress, onChunk, signal, ...decodeOptions } = options;
+	return new Promise(function (resolve, reject) {
+		const chunks = {};
+		const schemaRequests = [];
+		let settled = false;
+		const port = startWorker(handleMessage, fail);
+
+		function fail(error) {
+			port.terminate();
+			for (const request of schemaRequests.splice(0)) {
+				request.reject(error);
+			}
+			if (!settled) {
+				settled = true;
+				reject(error);
+			}
+		}
+
+		function cancel() {
+			const error = new Error("Decoding was cancelled.");
+			error.name = "AbortError";
+			fail(error);
+		}
+
+		function requestView() {
+			return new Promise(function (resolveSchema, rejectSchema) {
+				schemaRequests.push({ resolve: resolveSchema, reject: rejectSchema });
+				port.busy(true);
+				port.post({ type: "schema" });
+			});
+		}
+
+		function handleMessage(message) {
+			switch (message.type) {
+				case "progress":
+					if (onProgress) {
+						onProgress(message.position, message.length, message.stream);
+					}
+					break;
+				case "chunk":
+					chunks[message.key] = message.value;
+					if (onChunk) {
+						onChunk(message.key, message.value);
+					}
+					break;
+				case "done":
+					settled = true;
+					if (signal) {
+						signal.removeEventListener("abort", cancel);
+					}
+					port.busy(false);
+					resolve({
+						layers: message.layers,
+						wrapper: message.wrapper,
+						checksum: message.checksum,
+						playerData: message.chunked ? chunks : message.playerData,
+						error: toError(message.error),
+						ngu: requestView,
+						close: () => port.terminate()
+					});
+					break;
+				case "schema": {
+					const request = schemaRequests.shift();
+					if (!schemaRequests.length) {
+						port.busy(false);
+					}
+					if (message.error) {
+						request.reject(toError(message.error));
+					} else {
+						request.resolve(message.value);
+					}
+					break;
+				}
+				case "failed":
+					fail(toError(message.error));
+					break;
+			}
+		}
+
+		if (signal) {
+			if (signal.aborted) {
+				cancel();
+				return;
+			}
+			signal.addEventListener("abort", cancel);
+		}
+		port.post({ type: "decode", input, options: decodeOptions }, input instanceof ArrayBuffer ? [input] : []);
+	});
+}
+
+if (typeof importScripts === "function") {
+	// A Web Worker.
+	importScripts("index.js", "schema.js");
+	const serve = serveDecoding(message => self.postMessage(message), { loadSave, buildAst, applySchema });
+	self.onmessage = event => serve(event.data);
+} else if (typeof module !== "undefined" && module.exports) {
+	const { isMainThread, parentPort, workerData } = require("worker_threads");
+	if (!isMainThread && workerData && workerData.nguDecoder) {
+		const serve = serveDecoding(message => parentPort.postMessage(message), {
+			...require("./index.js"),
+			...require("./schema.js")
+		});
+		parentPort.on("message", serve);
+	}
+	module.exports = {
+		decodeInWorker
+	};
+}